@@ -0,0 +1,92 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * @typedef {'fast' | 'fsync'} Durability
+ */
+
+/** Error codes a rename may transiently fail with (mostly Windows, when the target is briefly held open) */
+const RETRYABLE_RENAME_CODES = new Set(['EPERM', 'EACCES', 'EBUSY']);
+const RENAME_RETRIES = 5;
+const RENAME_RETRY_DELAY_MS = 20;
+
+/**
+ * Build a unique temp file path next to the target, so the final rename never crosses filesystems
+ *
+ * @param {string} absPath - Absolute path of the target file
+ * @returns {string} Temp file path in the same directory
+ */
+function tempPathFor(absPath) {
+	const dir = path.dirname(absPath);
+	const base = path.basename(absPath);
+	return path.join(dir, `.${base}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+}
+
+/**
+ * Rename with a few retries on errors that are known to be transient
+ *
+ * @param {string} from
+ * @param {string} to
+ */
+async function renameWithRetry(from, to) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fs.rename(from, to);
+		} catch (err) {
+			const code = /** @type {NodeJS.ErrnoException} */ (err).code;
+			if (attempt >= RENAME_RETRIES || !code || !RETRYABLE_RENAME_CODES.has(code)) throw err;
+			await new Promise((resolve) => setTimeout(resolve, RENAME_RETRY_DELAY_MS * (attempt + 1)));
+		}
+	}
+}
+
+/**
+ * Flush directory entry changes (the rename) to disk. Not supported on every platform, so failures are ignored.
+ *
+ * @param {string} dir - Directory path
+ */
+export async function syncDir(dir) {
+	let handle;
+	try {
+		handle = await fs.open(dir, 'r');
+		await handle.sync();
+	} catch {
+		// Opening/syncing a directory is not supported on Windows
+	} finally {
+		await handle?.close().catch(() => {});
+	}
+}
+
+/**
+ * Write a file atomically: write to a temp file in the same directory, then rename it over the target.
+ * A crash at any point leaves either the old content or the new content, never a truncated file.
+ *
+ * @param {string} absPath - Absolute path of the target file
+ * @param {string | Uint8Array} content - Content to write
+ * @param {{ encoding?: BufferEncoding; durability?: Durability }} [options]
+ * - `durability: 'fsync'` (default) also flushes the temp file and the directory to disk, surviving power loss.
+ * - `durability: 'fast'` skips the flushes, still safe against process crashes.
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(absPath, content, options = {}) {
+	const { encoding = 'utf8', durability = 'fsync' } = options;
+	const tempPath = tempPathFor(absPath);
+
+	try {
+		const handle = await fs.open(tempPath, 'w');
+		try {
+			await handle.writeFile(content, encoding);
+			if (durability === 'fsync') await handle.sync();
+		} finally {
+			await handle.close();
+		}
+
+		await renameWithRetry(tempPath, absPath);
+	} catch (err) {
+		await fs.unlink(tempPath).catch(() => {});
+		throw err;
+	}
+
+	if (durability === 'fsync') await syncDir(path.dirname(absPath));
+}
@@ -0,0 +1,138 @@
+import { promises as fs, constants } from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} BackupOptions
+ * @property {number} [keep=10] - Number of snapshots to keep, older ones are deleted
+ * @property {string} [dir] - Directory of the snapshots, defaults to `backups` next to the file
+ * @property {boolean} [onWrite] - Take a snapshot before every overwrite (default when `interval` is not set)
+ * @property {number} [interval] - Instead, take a snapshot before an overwrite only when the last one is older
+ * than this (ms)
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id - Snapshot ID, pass to `store.restore()`
+ * @property {string} path - Absolute path of the snapshot file
+ * @property {Date} createdAt - When the snapshot was taken
+ */
+
+/** Snapshot ID: a file-name-safe ISO timestamp, with a counter when several are taken in the same millisecond */
+const SNAPSHOT_ID_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(?:-\d+)?$/;
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+function snapshotIdOf(date) {
+	return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * @param {string} id - Valid snapshot ID
+ * @returns {Date}
+ */
+function snapshotDateOf(id) {
+	const [, day, hours, minutes, seconds, ms] = /** @type {RegExpExecArray} */ (SNAPSHOT_ID_PATTERN.exec(id));
+	return new Date(`${day}T${hours}:${minutes}:${seconds}.${ms}Z`);
+}
+
+/**
+ * Rotating snapshots of a file, taken right before it gets overwritten
+ *
+ * @param {string} absPath - Absolute path of the file
+ * @param {true | BackupOptions} options
+ * @throws {TypeError} When the options are invalid
+ */
+export function createBackups(absPath, options) {
+	const { keep = 10, dir, interval, onWrite = interval === undefined } = options === true ? {} : options;
+	if (!Number.isInteger(keep) || keep < 1) {
+		throw new TypeError(`Invalid backup.keep, expected a positive integer, got ${JSON.stringify(keep)}`);
+	}
+	if (interval !== undefined && (typeof interval !== 'number' || !(interval >= 0))) {
+		throw new TypeError(`Invalid backup.interval, expected a non-negative number, got ${JSON.stringify(interval)}`);
+	}
+
+	const backupDir = path.resolve(path.dirname(absPath), dir ?? 'backups');
+	const prefix = `${path.basename(absPath)}.`;
+	const suffix = '.bak';
+
+	/** @type {number | undefined} Time of the newest snapshot, read from the directory on first use */
+	let lastSnapshotAt;
+
+	/**
+	 * @param {string} id
+	 * @returns {string}
+	 */
+	const pathOf = (id) => path.join(backupDir, `${prefix}${id}${suffix}`);
+
+	const backups = {
+		/**
+		 * Snapshots of the file, newest first
+		 * @returns {Promise<Snapshot[]>}
+		 */
+		async list() {
+			const names = await fs.readdir(backupDir).catch((err) => {
+				if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return [];
+				throw err;
+			});
+
+			return names
+				.filter((name) => name.startsWith(prefix) && name.endsWith(suffix))
+				.map((name) => name.slice(prefix.length, -suffix.length))
+				.filter((id) => SNAPSHOT_ID_PATTERN.test(id))
+				.sort()
+				.reverse()
+				.map((id) => ({ id, path: pathOf(id), createdAt: snapshotDateOf(id) }));
+		},
+
+		/**
+		 * Path of a snapshot file
+		 *
+		 * @param {string} id
+		 * @returns {string}
+		 * @throws {TypeError} When the ID is malformed
+		 */
+		pathOf(id) {
+			if (typeof id !== 'string' || !SNAPSHOT_ID_PATTERN.test(id)) {
+				throw new TypeError(`Invalid snapshot ID: ${JSON.stringify(id)}`);
+			}
+			return pathOf(id);
+		},
+
+		/**
+		 * Copy the file before it gets overwritten, when due, then delete snapshots beyond `keep`.
+		 * Does nothing when the file doesn't exist yet.
+		 *
+		 * @returns {Promise<void>}
+		 */
+		async beforeOverwrite() {
+			const now = Date.now();
+			if (!onWrite) {
+				if (interval === undefined) return;
+				lastSnapshotAt ??= (await backups.list())[0]?.createdAt.getTime() ?? -Infinity;
+				if (now - lastSnapshotAt < interval) return;
+			}
+
+			await fs.mkdir(backupDir, { recursive: true });
+			const baseId = snapshotIdOf(new Date(now));
+			for (let attempt = 0; ; attempt++) {
+				const id = attempt === 0 ? baseId : `${baseId}-${attempt}`;
+				try {
+					await fs.copyFile(absPath, pathOf(id), constants.COPYFILE_EXCL);
+					break;
+				} catch (err) {
+					const code = /** @type {NodeJS.ErrnoException} */ (err).code;
+					if (code === 'ENOENT') return;
+					if (code !== 'EEXIST') throw err;
+				}
+			}
+			lastSnapshotAt = now;
+
+			const outdated = (await backups.list()).slice(keep);
+			await Promise.all(outdated.map((snapshot) => fs.rm(snapshot.path, { force: true })));
+		},
+	};
+
+	return backups;
+}
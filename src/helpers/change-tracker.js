@@ -0,0 +1,102 @@
+/**
+ * Called with the path of the changed property, e.g. `['users', 2, 'email']`
+ * @typedef {(path: (string | number)[]) => void} ChangeListener
+ */
+
+/** @type {WeakMap<object, object>} Proxy -> original object */
+const proxyTargets = new WeakMap();
+
+/**
+ * Check if a value should be tracked deeply (plain objects and arrays only, not Date or class instances)
+ *
+ * @param {any} value
+ * @returns {value is object}
+ */
+function isTrackable(value) {
+	if (typeof value !== 'object' || value === null) return false;
+	if (Array.isArray(value)) return true;
+
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Get the original object behind a tracking proxy, so proxies never end up stored inside the data
+ *
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+export function unwrapTracked(value) {
+	return (typeof value === 'object' && value !== null && /** @type {T} */ (proxyTargets.get(value))) || value;
+}
+
+/**
+ * Wrap an object in a deep Proxy that reports every nested set, delete and array mutation.
+ * The original object is left untouched and can still be mutated directly without notifications.
+ *
+ * @template {object} T
+ * @param {T} root - Object to track
+ * @param {ChangeListener} onChange - Called after each change
+ * @returns {T} Tracking proxy of `root`
+ */
+export function trackChanges(root, onChange) {
+	/**
+	 * original object -> path -> proxy. Keeps proxies stable across reads of the same path,
+	 * while an object that moved (e.g. array splice) gets a proxy reporting its new path.
+	 *
+	 * @type {WeakMap<object, Map<string, object>>}
+	 */
+	const proxies = new WeakMap();
+
+	/**
+	 * @param {string | symbol} key
+	 * @returns {string | number}
+	 */
+	const toSegment = (key) => (typeof key === 'string' && /^\d+$/.test(key) ? Number(key) : String(key));
+
+	/**
+	 * @template {object} O
+	 * @param {O} target
+	 * @param {(string | number)[]} path
+	 * @returns {O}
+	 */
+	const wrap = (target, path) => {
+		const pathKey = path.join('\u0000');
+		let byPath = proxies.get(target);
+		const existing = byPath?.get(pathKey);
+		if (existing) return /** @type {O} */ (existing);
+
+		const proxy = new Proxy(target, {
+			get(obj, key, receiver) {
+				const value = Reflect.get(obj, key, receiver);
+				return typeof key === 'string' && isTrackable(value) ? wrap(value, [...path, toSegment(key)]) : value;
+			},
+			set(obj, key, value, receiver) {
+				const raw = unwrapTracked(value);
+				const existed = Object.prototype.hasOwnProperty.call(obj, key);
+				const previous = Reflect.get(obj, key, receiver);
+				const ok = Reflect.set(obj, key, raw, receiver);
+
+				if (ok && (previous !== raw || !existed)) {
+					onChange([...path, toSegment(key)]);
+				}
+				return ok;
+			},
+			deleteProperty(obj, key) {
+				const existed = Object.prototype.hasOwnProperty.call(obj, key);
+				const ok = Reflect.deleteProperty(obj, key);
+
+				if (ok && existed) onChange([...path, toSegment(key)]);
+				return ok;
+			},
+		});
+
+		if (!byPath) proxies.set(target, (byPath = new Map()));
+		byPath.set(pathKey, proxy);
+		proxyTargets.set(proxy, target);
+		return proxy;
+	};
+
+	return wrap(root, []);
+}
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+
+import { getAtPath, formatPath } from './path.js';
+
+/**
+ * How missing primary keys are generated: `'increment'` (highest numeric key + 1, not reusing keys generated
+ * while the store is open; after reopening, keys of removed items may be reused), `'uuid'` (random UUID v4) or
+ * `false` (the key must be provided)
+ * @typedef {'increment' | 'uuid' | false} AutoIdStrategy
+ */
+
+/**
+ * @typedef {Object} CollectionOptions
+ * @property {string} [primaryKey='id'] - Field holding the unique key of each item
+ * @property {AutoIdStrategy} [autoId] - Defaults to `'uuid'` for string keys, `'increment'` otherwise
+ */
+
+/**
+ * Item filter: a predicate, or an object whose fields must all be equal to the item's
+ * @template T
+ * @typedef {((item: T) => boolean) | Partial<T>} Where
+ */
+
+/**
+ * @typedef {Object} ReadOptions
+ * @property {string[]} [populate] - References to replace with the items they point to (copies instead of live
+ * items), see `store.populate()`
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Collection
+ * @property {(item: Partial<T>) => Promise<T>} insert - Add an item, generating its primary key when missing
+ * @property {(items: Partial<T>[]) => Promise<T[]>} insertMany - Add several items in one write
+ * @property {(id: any, options?: ReadOptions) => T | undefined} findById - Find an item by primary key
+ * @property {(where?: Where<T>, options?: ReadOptions) => T[]} find - Items matching `where` (all items without it)
+ * @property {(where: Where<T>, patch: Partial<T> | ((item: T) => Partial<T>)) => Promise<number>} update -
+ * Merge `patch` into matching items, resolves to how many were updated
+ * @property {(where: Where<T>) => Promise<number>} remove - Remove matching items, resolves to how many were removed
+ * @property {(where?: Where<T>) => number} count - Number of items matching `where` (all items without it)
+ * @property {() => import('./query.js').Query<T>} query - Query builder over the items, see `store.query()`
+ */
+
+/**
+ * Minimal store surface a collection works through
+ * @typedef {Object} CollectionStore
+ * @property {(path: string) => any} get
+ * @property {<R>(fn: (draft: any) => R | Promise<R>) => Promise<R>} transaction
+ * @property {(path: string, options: { primaryKey: string }) => import('./query.js').Query<any>} query
+ * @property {(path: string, value: any, fields: string[]) => any} populate
+ */
+
+/**
+ * Compare a field value with a `where` value. Dates are compared by time, everything else strictly.
+ *
+ * @param {any} value
+ * @param {any} expected
+ * @returns {boolean}
+ */
+function isSameValue(value, expected) {
+	if (value instanceof Date && expected instanceof Date) return value.getTime() === expected.getTime();
+	return Object.is(value, expected);
+}
+
+/**
+ * @template T
+ * @param {T} item
+ * @param {Where<T> | undefined} where
+ * @returns {boolean}
+ */
+function matchesWhere(item, where) {
+	if (where === undefined) return true;
+	if (typeof where === 'function') return where(item);
+
+	const record = /** @type {Record<string, any>} */ (item);
+	return Object.entries(where).every(([key, expected]) => isSameValue(record[key], expected));
+}
+
+/**
+ * Create a collection over an array of objects in a store. Reads use the live data, every change runs as a
+ * store transaction so it is validated, written and rolled back on failure like any other.
+ *
+ * @template T
+ * @param {CollectionStore} store - Store holding the array
+ * @param {string} path - Path of the array in the store data
+ * @param {import('./path.js').PathSegments} segments - Parsed `path`
+ * @param {{
+ * 	primaryKey: string;
+ * 	autoId: AutoIdStrategy;
+ * 	indexes?: Pick<import('./indexes.js').Indexes, 'lookup'>;
+ * 	lastIds?: Map<string, number>;
+ * }} options
+ * - `indexes`: Store indexes, used by `findById`, `find` and `count` when filtering on an indexed field
+ * - `lastIds`: Highest key generated by `'increment'` for each array path, shared by the store's collections
+ * @returns {Collection<T>}
+ */
+export function createCollection(store, path, segments, { primaryKey, autoId, indexes, lastIds = new Map() }) {
+	const indexPath = formatPath(segments);
+
+	/** @returns {any[]} */
+	const liveItems = () => store.get(path) ?? [];
+
+	/**
+	 * Items that may match `where`: from an index on one of its fields when there is one, all items otherwise
+	 *
+	 * @param {Where<T> | undefined} where
+	 * @returns {any[]}
+	 */
+	const candidates = (where) => {
+		if (indexes && where !== undefined && typeof where !== 'function') {
+			for (const [field, value] of Object.entries(where)) {
+				const found = indexes.lookup(indexPath, field, value);
+				if (found) return found;
+			}
+		}
+		return liveItems();
+	};
+
+	/**
+	 * @param {any} draft - Transaction draft of the whole data
+	 * @returns {any[]}
+	 */
+	const draftItems = (draft) => {
+		const items = getAtPath(draft, segments);
+		if (!Array.isArray(items)) throw new Error(`Collection '${path}' is not an array`);
+		return items;
+	};
+
+	/**
+	 * Create a key generator for a batch of inserts, so auto-increment scans the items only once. Keys generated
+	 * since the store was opened count too, so removing the item with the highest key doesn't hand its key to the
+	 * next insert. They are kept in memory only.
+	 *
+	 * @param {any[]} items
+	 * @returns {() => string | number}
+	 */
+	const idGenerator = (items) => {
+		if (autoId === 'uuid') return () => crypto.randomUUID();
+
+		let max = lastIds.get(indexPath) ?? 0;
+		for (const item of items) {
+			if (typeof item[primaryKey] === 'number' && item[primaryKey] > max) max = item[primaryKey];
+		}
+		return () => {
+			lastIds.set(indexPath, ++max);
+			return max;
+		};
+	};
+
+	/**
+	 * @param {any[]} items
+	 * @throws {Error} When two items share a primary key
+	 */
+	const assertUniqueKeys = (items) => {
+		const seen = new Set();
+		for (const item of items) {
+			const id = item[primaryKey];
+			if (seen.has(id)) throw new Error(`Duplicate ${primaryKey} in '${path}': ${JSON.stringify(id)}`);
+			seen.add(id);
+		}
+	};
+
+	/**
+	 * Add items to the draft, generating missing primary keys
+	 *
+	 * @param {any[]} items - Draft items
+	 * @param {Partial<T>[]} newItems
+	 * @returns {any[]} Primary keys of the added items
+	 */
+	const addItems = (items, newItems) => {
+		// Keys given explicitly in the batch count too, so generated keys stay above them
+		const withKeys = /** @type {Record<string, any>[]} */ (newItems).filter((item) => item[primaryKey] != null);
+		const generateId = idGenerator([...items, ...withKeys]);
+
+		const ids = newItems.map((newItem) => {
+			const item = /** @type {Record<string, any>} */ ({ ...newItem });
+			if (item[primaryKey] === undefined || item[primaryKey] === null) {
+				if (!autoId) throw new Error(`Missing ${primaryKey} in item inserted into '${path}'`);
+				item[primaryKey] = generateId();
+			}
+
+			items.push(item);
+			return item[primaryKey];
+		});
+
+		assertUniqueKeys(items);
+		return ids;
+	};
+
+	/** @type {Collection<T>} */
+	const collection = {
+		async insert(item) {
+			const [id] = await store.transaction((draft) => addItems(draftItems(draft), [item]));
+			return /** @type {T} */ (collection.findById(id));
+		},
+
+		async insertMany(items) {
+			const ids = await store.transaction((draft) => addItems(draftItems(draft), items));
+			return ids.map((id) => /** @type {T} */ (collection.findById(id)));
+		},
+
+		findById(id, options = {}) {
+			const where = /** @type {Where<T>} */ ({ [primaryKey]: id });
+			const found = candidates(where).find((item) => isSameValue(item[primaryKey], id));
+			return options.populate ? store.populate(`${path}[*]`, found, options.populate) : found;
+		},
+
+		find(where, options = {}) {
+			const found = candidates(where).filter((item) => matchesWhere(item, where));
+			return options.populate ? store.populate(path, found, options.populate.map((field) => `[*].${field}`)) : found;
+		},
+
+		update(where, patch) {
+			return store.transaction((draft) => {
+				const items = draftItems(draft);
+				let updated = 0;
+
+				for (const item of items) {
+					if (!matchesWhere(item, where)) continue;
+					Object.assign(item, typeof patch === 'function' ? patch(item) : patch);
+					updated++;
+				}
+
+				assertUniqueKeys(items);
+				return updated;
+			});
+		},
+
+		remove(where) {
+			return store.transaction((draft) => {
+				const items = draftItems(draft);
+				const before = items.length;
+
+				for (let index = items.length - 1; index >= 0; index--) {
+					if (matchesWhere(items[index], where)) items.splice(index, 1);
+				}
+				return before - items.length;
+			});
+		},
+
+		count(where) {
+			return where === undefined ? liveItems().length : collection.find(where).length;
+		},
+
+		query() {
+			return store.query(path, { primaryKey });
+		},
+	};
+
+	return collection;
+}
@@ -0,0 +1,45 @@
+/**
+ * @typedef {Object} DebounceOptions
+ * @property {number} [debounceMs=100] - Wait for this long without new calls before running
+ * @property {number} [maxWaitMs=1000] - Never delay a run more than this long after the first pending call
+ */
+
+/**
+ * Create a debounced runner for a task. Calls to `schedule` within `debounceMs` of each other are merged
+ * into a single run, which is delayed at most `maxWaitMs` after the first of them.
+ *
+ * @param {() => void} task - Task to run
+ * @param {DebounceOptions} [options]
+ * @returns {{ schedule(): void; cancel(): void }}
+ */
+export function createDebouncedTask(task, options = {}) {
+	const { debounceMs = 100, maxWaitMs = 1000 } = options;
+
+	/** @type {NodeJS.Timeout | undefined} */
+	let timer;
+	/** @type {number | undefined} */
+	let firstScheduledAt;
+
+	const run = () => {
+		timer = undefined;
+		firstScheduledAt = undefined;
+		task();
+	};
+
+	return {
+		schedule() {
+			const now = Date.now();
+			firstScheduledAt ??= now;
+
+			const remainingMaxWait = Math.max(0, firstScheduledAt + maxWaitMs - now);
+			clearTimeout(timer);
+			timer = setTimeout(run, Math.min(debounceMs, remainingMaxWait));
+		},
+
+		cancel() {
+			clearTimeout(timer);
+			timer = undefined;
+			firstScheduledAt = undefined;
+		},
+	};
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+/**
+ * @typedef {'aes-256-gcm'} EncryptionAlgorithm
+ * @typedef {string | Uint8Array} EncryptionKey - 32 bytes, or a string holding them in hex or base64
+ */
+
+/**
+ * @typedef {Object} EncryptionOptions
+ * @property {EncryptionKey} [key] - Key to encrypt the file with
+ * @property {() => EncryptionKey | Promise<EncryptionKey>} [keyProvider] - Instead, called once on open for the key,
+ * e.g. to fetch it from a secrets manager
+ * @property {EncryptionAlgorithm} [algorithm='aes-256-gcm']
+ */
+
+/**
+ * @typedef {Object} Cipher
+ * @property {(key: EncryptionKey) => Cipher} withKey - Same cipher with another key
+ * @property {(content: string | Uint8Array, encoding: BufferEncoding) => string} encrypt - Encrypt file content
+ * @property {(content: string, filePath: string) => Buffer} decrypt - Decrypt file content
+ */
+
+/**
+ * @typedef {Object} EncryptionHeader
+ * @property {'sdo-encrypted'} format
+ * @property {number} version - Layout version of the encrypted file
+ * @property {EncryptionAlgorithm} algorithm
+ * @property {string} iv - Initialization vector, base64
+ */
+
+const HEADER_FORMAT = 'sdo-encrypted';
+const HEADER_VERSION = 1;
+const HEADER_PREFIX = `{"format":"${HEADER_FORMAT}"`;
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Whether file content was written by a cipher
+ *
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function isEncrypted(content) {
+	return content.startsWith(HEADER_PREFIX);
+}
+
+/**
+ * @param {EncryptionKey} key
+ * @returns {Buffer}
+ * @throws {TypeError} When the key is not 32 bytes
+ */
+function toKeyBuffer(key) {
+	let bytes;
+	if (typeof key === 'string') {
+		bytes = Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64');
+	} else if (key instanceof Uint8Array) {
+		bytes = Buffer.from(key);
+	}
+	if (!bytes || bytes.length !== KEY_BYTES) {
+		throw new TypeError(
+			`Invalid encryption key, expected ${KEY_BYTES} bytes (a Buffer, or a hex or base64 string)`
+		);
+	}
+	return bytes;
+}
+
+/**
+ * Encrypts file content with an authenticated cipher. The encrypted file is text: a JSON header line (layout
+ * version, algorithm, IV), authenticated along with the data, then the ciphertext and its tag in base64.
+ *
+ * @param {EncryptionOptions} options
+ * @returns {Promise<Cipher>}
+ * @throws {TypeError} When the options are invalid
+ */
+export async function createEncryption(options) {
+	const { key, keyProvider, algorithm = 'aes-256-gcm' } = options;
+	if (algorithm !== 'aes-256-gcm') {
+		throw new TypeError(`Unsupported encryption algorithm ${JSON.stringify(algorithm)}, expected 'aes-256-gcm'`);
+	}
+	if ((key === undefined) === (typeof keyProvider !== 'function')) {
+		throw new TypeError('Invalid encryption options, expected either key or keyProvider()');
+	}
+
+	return createCipher(toKeyBuffer(key ?? (await /** @type {Function} */ (keyProvider)())), algorithm);
+}
+
+/**
+ * @param {Buffer} key
+ * @param {EncryptionAlgorithm} algorithm
+ * @returns {Cipher}
+ */
+function createCipher(key, algorithm) {
+	return {
+		/**
+		 * @param {EncryptionKey} nextKey
+		 * @throws {TypeError} When the key is not 32 bytes
+		 */
+		withKey(nextKey) {
+			return createCipher(toKeyBuffer(nextKey), algorithm);
+		},
+
+		/**
+		 * @param {string | Uint8Array} content - Serialized data
+		 * @param {BufferEncoding} encoding - Encoding of text content
+		 * @returns {string} Encrypted file content
+		 */
+		encrypt(content, encoding) {
+			const iv = crypto.randomBytes(IV_BYTES);
+			/** @type {EncryptionHeader} */
+			const header = { format: HEADER_FORMAT, version: HEADER_VERSION, algorithm, iv: iv.toString('base64') };
+			const headerLine = JSON.stringify(header);
+
+			const cipher = crypto.createCipheriv(algorithm, key, iv);
+			cipher.setAAD(Buffer.from(headerLine, 'utf8'));
+			const plaintext = typeof content === 'string' ? Buffer.from(content, encoding) : content;
+			const sealed = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+			return `${headerLine}\n${sealed.toString('base64')}\n`;
+		},
+
+		/**
+		 * @param {string} content - Encrypted file content
+		 * @param {string} filePath - For error messages
+		 * @returns {Buffer} Serialized data
+		 * @throws {Error} When the file is not encrypted, or the key is wrong or the content was tampered with
+		 */
+		decrypt(content, filePath) {
+			if (!isEncrypted(content)) throw new Error(`File is not encrypted: ${filePath}`);
+
+			const newline = content.indexOf('\n');
+			const headerLine = (newline === -1 ? content : content.slice(0, newline)).replace(/\r$/, '');
+			/** @type {EncryptionHeader} */
+			let header;
+			try {
+				header = JSON.parse(headerLine);
+			} catch (err) {
+				throw new Error(
+					`Invalid encryption header in file: ${filePath}. ${/** @type {Error} */ (err).message}`
+				);
+			}
+			if (header.version !== HEADER_VERSION) {
+				throw new Error(
+					`Unsupported encryption version ${JSON.stringify(header.version)} in file: ${filePath}`
+				);
+			}
+			if (header.algorithm !== algorithm) {
+				throw new Error(
+					`File is encrypted with ${JSON.stringify(header.algorithm)}, not ${algorithm}: ${filePath}`
+				);
+			}
+
+			const sealed = Buffer.from(content.slice(newline + 1).trim(), 'base64');
+			const iv = Buffer.from(String(header.iv), 'base64');
+			if (newline === -1 || iv.length !== IV_BYTES || sealed.length < TAG_BYTES) {
+				throw new Error(`Invalid encrypted file: ${filePath}`);
+			}
+
+			try {
+				const decipher = crypto.createDecipheriv(algorithm, key, iv);
+				decipher.setAAD(Buffer.from(headerLine, 'utf8'));
+				decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+				const ciphertext = sealed.subarray(0, sealed.length - TAG_BYTES);
+				return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+			} catch {
+				throw new Error(`Cannot decrypt ${filePath}: wrong key or tampered content`);
+			}
+		},
+	};
+}
@@ -1,3 +1,6 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+
 /**
  * File lock implementation to ensure sequential file operations
  */
@@ -38,3 +41,199 @@ export function getFileLock(filePath) {
 	// @ts-ignore: Safe because we just set it above if it didn't exist
 	return fileLocks.get(filePath);
 }
+
+/**
+ * @typedef {'process' | 'inter-process'} LockMode
+ *
+ * @typedef {Object} InterProcessLockOptions
+ * @property {number} [timeout=10000] - Max time (ms) to wait for the lock before throwing `LockTimeoutError`
+ * @property {number} [stale=30000] - Time (ms) without being renewed after which an existing lockfile is
+ * considered abandoned. Holders renew it every third of this time.
+ * @property {number} [retryInterval=50] - Delay (ms) between acquire attempts
+ *
+ * @typedef {Object} LockfileInfo
+ * @property {number} pid - Process ID of the holder
+ * @property {string} hostname - Host of the holder
+ * @property {number} timestamp - When the lock was acquired (ms since epoch)
+ */
+
+/**
+ * Thrown when an inter-process lock cannot be acquired in time
+ */
+export class LockTimeoutError extends Error {
+	/**
+	 * @param {string} lockPath - Path of the lockfile
+	 * @param {number} timeout - Timeout that elapsed (ms)
+	 * @param {LockfileInfo | null} holder - Current holder of the lock, if it could be read
+	 */
+	constructor(lockPath, timeout, holder) {
+		const holderInfo = holder
+			? ` (held by pid ${holder.pid} on ${holder.hostname} since ${new Date(holder.timestamp).toISOString()})`
+			: '';
+		super(`Timed out after ${timeout}ms waiting for lock: ${lockPath}${holderInfo}`);
+		this.name = 'LockTimeoutError';
+		this.lockPath = lockPath;
+		this.timeout = timeout;
+		this.holder = holder;
+	}
+}
+
+/**
+ * Read lockfile content, returns null when missing or unreadable (e.g. being written)
+ *
+ * @param {string} lockPath
+ * @returns {Promise<LockfileInfo | null>}
+ */
+async function readLockfile(lockPath) {
+	try {
+		const info = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+		return typeof info?.pid === 'number' && typeof info?.timestamp === 'number' ? info : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Check whether a process is still running on this machine
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (err) {
+		// EPERM means the process exists but belongs to another user
+		return /** @type {NodeJS.ErrnoException} */ (err).code === 'EPERM';
+	}
+}
+
+/**
+ * @typedef {Object} LockfileState
+ * @property {LockfileInfo | null} holder - Content of the lockfile, `null` when unreadable (e.g. being written, or
+ * left empty by a crash)
+ * @property {number} refreshedAt - Last modification of the lockfile (ms since epoch), renewed while it is held
+ */
+
+/**
+ * Read the state of an existing lockfile
+ *
+ * @param {string} lockPath
+ * @returns {Promise<LockfileState | null>} `null` when there is no lockfile
+ */
+async function inspectLockfile(lockPath) {
+	try {
+		const { mtimeMs } = await fs.stat(lockPath);
+		return { holder: await readLockfile(lockPath), refreshedAt: mtimeMs };
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Decide whether an existing lock was abandoned: not refreshed for too long, or its holder on this host has died
+ *
+ * @param {LockfileState} state
+ * @param {number} stale
+ * @returns {boolean}
+ */
+function isStale({ holder, refreshedAt }, stale) {
+	if (Date.now() - refreshedAt > stale) return true;
+	return holder !== null && holder.hostname === os.hostname() && !isProcessAlive(holder.pid);
+}
+
+/**
+ * Try to create the lockfile exclusively
+ *
+ * @param {string} lockPath
+ * @returns {Promise<boolean>} Whether the lock was acquired
+ */
+async function tryCreateLockfile(lockPath) {
+	/** @type {LockfileInfo} */
+	const info = { pid: process.pid, hostname: os.hostname(), timestamp: Date.now() };
+
+	try {
+		await fs.writeFile(lockPath, JSON.stringify(info), { encoding: 'utf8', flag: 'wx' });
+		return true;
+	} catch (err) {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === 'EEXIST') return false;
+		throw err;
+	}
+}
+
+/**
+ * Remove a stale lockfile, only if it is still the one that was judged stale
+ *
+ * @param {string} lockPath
+ * @param {LockfileState} staleState
+ */
+async function removeStaleLockfile(lockPath, staleState) {
+	const current = await inspectLockfile(lockPath);
+	const { holder } = staleState;
+	const isSameHolder = holder
+		? current?.holder?.pid === holder.pid && current.holder.timestamp === holder.timestamp
+		: current?.holder === null;
+	if (!current || current.refreshedAt !== staleState.refreshedAt || !isSameHolder) return;
+
+	const heldBy = holder ? `held by pid ${holder.pid}` : 'with unreadable content';
+	console.warn(`> [stored-data-object.FileLock] Removing stale lock ${heldBy}: ${lockPath}`);
+	await fs.unlink(lockPath).catch(() => {});
+}
+
+/**
+ * Acquire an advisory lockfile, waiting up to `timeout`
+ *
+ * @param {string} lockPath
+ * @param {Required<InterProcessLockOptions>} options
+ * @throws {LockTimeoutError} When the lock cannot be acquired in time
+ */
+async function acquireLockfile(lockPath, { timeout, stale, retryInterval }) {
+	const deadline = Date.now() + timeout;
+
+	while (true) {
+		if (await tryCreateLockfile(lockPath)) return;
+
+		const state = await inspectLockfile(lockPath);
+		if (state && isStale(state, stale)) {
+			await removeStaleLockfile(lockPath, state);
+			continue;
+		}
+
+		if (Date.now() >= deadline) throw new LockTimeoutError(lockPath, timeout, state?.holder ?? null);
+		await new Promise((resolve) => setTimeout(resolve, retryInterval));
+	}
+}
+
+/**
+ * Lock held through an on-disk lockfile (`<file>.lock`), serializing access between processes that use the
+ * same file. Tasks of this process are not queued, combine it with the process lock for that.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @param {InterProcessLockOptions} [options]
+ * @returns {Pick<FileLock, 'run'>} Lock with the same `run` interface
+ */
+export function createLockfileLock(filePath, options = {}) {
+	const { timeout = 10000, stale = 30000, retryInterval = 50 } = options;
+	const lockPath = `${filePath}.lock`;
+
+	return {
+		async run(task) {
+			await acquireLockfile(lockPath, { timeout, stale, retryInterval });
+
+			// Renew the lockfile while the task runs, so a long task is not taken for an abandoned lock
+			const refresh = setInterval(() => {
+				const now = new Date();
+				fs.utimes(lockPath, now, now).catch(() => {});
+			}, stale / 3);
+			refresh.unref();
+
+			try {
+				return await task();
+			} finally {
+				clearInterval(refresh);
+				await fs.unlink(lockPath).catch(() => {});
+			}
+		},
+	};
+}
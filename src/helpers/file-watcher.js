@@ -0,0 +1,32 @@
+import { watch } from 'fs';
+import path from 'path';
+
+import { createDebouncedTask } from './debounce.js';
+
+/**
+ * Watch a single file for changes, debounced. The parent directory is watched instead of the file itself,
+ * because a watch on the file stops once it gets replaced by a rename (atomic writes, most editors).
+ *
+ * @param {string} absPath - Absolute path of the file
+ * @param {() => void} onChange - Called after the file was changed, created, replaced or removed
+ * @param {(err: Error) => void} onError - Called when the watcher itself fails
+ * @param {import('./debounce.js').DebounceOptions} [options] - Debounce of change notifications
+ * @returns {{ close(): void }}
+ */
+export function watchFile(absPath, onChange, onError, options = {}) {
+	const base = path.basename(absPath);
+	const task = createDebouncedTask(onChange, { debounceMs: 50, maxWaitMs: 500, ...options });
+
+	const watcher = watch(path.dirname(absPath), (eventType, filename) => {
+		// Some platforms don't report the file name, so any change in the directory counts
+		if (!filename || filename === base) task.schedule();
+	});
+	watcher.on('error', onError);
+
+	return {
+		close() {
+			task.cancel();
+			watcher.close();
+		},
+	};
+}
@@ -0,0 +1,227 @@
+import path from 'path';
+
+/**
+ * @typedef {Object} StringifyOptions
+ * @property {number | string} indent - Indentation requested with `options.indent`, `0` for none
+ */
+
+/**
+ * How a store file is read and written
+ * @typedef {Object} FormatAdapter
+ * @property {(content: any) => any} parse - Parse the file content: a string, or a Buffer for binary formats
+ * @property {(data: any, options: StringifyOptions) => string | Uint8Array} stringify - Serialize data for the file
+ * @property {string} extension - File extension with the dot, e.g. `'.yaml'`, added to file paths without one
+ * @property {boolean} [binary] - The content is bytes, read without decoding
+ * @property {string} [name] - Name used in error messages
+ * @property {boolean} [arrayOnly] - Can only store an array root, so not a versioned file (an object holding
+ * `$version`)
+ */
+
+/**
+ * @typedef {'json' | 'json5' | 'yaml' | 'ndjson' | 'msgpack'} FormatName
+ */
+
+/** @type {Record<string, FormatName>} */
+const FORMAT_BY_EXTENSION = {
+	'.json': 'json',
+	'.json5': 'json5',
+	'.yaml': 'yaml',
+	'.yml': 'yaml',
+	'.ndjson': 'ndjson',
+	'.jsonl': 'ndjson',
+	'.msgpack': 'msgpack',
+};
+
+/**
+ * Load an optional dependency of a format
+ *
+ * @param {string} packageName
+ * @param {FormatName} format
+ * @returns {Promise<any>} The module
+ * @throws {Error} When the package is not installed
+ */
+async function loadPackage(packageName, format) {
+	try {
+		return await import(packageName);
+	} catch (err) {
+		const code = /** @type {NodeJS.ErrnoException} */ (err).code;
+		if (code !== 'ERR_MODULE_NOT_FOUND' && code !== 'MODULE_NOT_FOUND') throw err;
+		throw new Error(`Format '${format}' requires the '${packageName}' package: npm install ${packageName}`);
+	}
+}
+
+/**
+ * @param {any} value
+ * @returns {value is Record<string, any>}
+ */
+function isPlainObject(value) {
+	if (typeof value !== 'object' || value === null) return false;
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Run a replacer over data like `JSON.stringify` does (holder as `this`, parents before children, `undefined`
+ * drops the key), but on the values as they are: Dates reach it as Date objects, not strings yet.
+ *
+ * @param {any} value
+ * @param {(this: any, key: string, value: any) => any} replacer
+ * @param {string} [key] - Key of `value` in its parent
+ * @returns {any}
+ */
+export function replaceValues(value, replacer, key = '') {
+	/**
+	 * @param {any} holder
+	 * @param {string} holderKey
+	 * @returns {any}
+	 */
+	const visit = (holder, holderKey) => {
+		const replaced = replacer.call(holder, holderKey, holder[holderKey]);
+		if (Array.isArray(replaced)) return replaced.map((_, index) => visit(replaced, String(index)));
+		if (!isPlainObject(replaced)) return replaced;
+
+		/** @type {Record<string, any>} */
+		const result = {};
+		for (const childKey of Object.keys(replaced)) {
+			const child = visit(replaced, childKey);
+			if (child !== undefined) result[childKey] = child;
+		}
+		return result;
+	};
+
+	return visit({ [key]: value }, key);
+}
+
+/**
+ * Run a reviver over parsed data like `JSON.parse` does (holder as `this`, children before parents,
+ * `undefined` deletes the key). Changes `value` in place.
+ *
+ * @param {any} value
+ * @param {(this: any, key: string, value: any) => any} reviver
+ * @param {string} [key] - Key of `value` in its parent
+ * @returns {any}
+ */
+export function reviveValues(value, reviver, key = '') {
+	/**
+	 * @param {any} holder
+	 * @param {string} holderKey
+	 * @returns {any}
+	 */
+	const visit = (holder, holderKey) => {
+		const current = holder[holderKey];
+		if (Array.isArray(current) || isPlainObject(current)) {
+			const children = /** @type {Record<string, any>} */ (current);
+			for (const childKey of Object.keys(children)) {
+				const child = visit(children, childKey);
+				if (child === undefined) delete children[childKey];
+				else children[childKey] = child;
+			}
+		}
+		return reviver.call(holder, holderKey, current);
+	};
+
+	return visit({ [key]: value }, key);
+}
+
+/**
+ * Data as JSON would store it: Dates become ISO strings, `undefined` fields are dropped
+ *
+ * @param {any} data
+ * @returns {any}
+ */
+function toJSONValue(data) {
+	return JSON.parse(JSON.stringify(data));
+}
+
+/** @type {Record<FormatName, () => FormatAdapter | Promise<FormatAdapter>>} */
+const BUILT_IN_FORMATS = {
+	json: () => ({
+		name: 'JSON',
+		extension: '.json',
+		parse: (content) => JSON.parse(content),
+		stringify: (data, { indent }) => JSON.stringify(data, null, indent),
+	}),
+
+	// One array item per line
+	ndjson: () => ({
+		name: 'NDJSON',
+		extension: '.ndjson',
+		arrayOnly: true,
+		parse: (content) =>
+			/** @type {string} */ (content).split('\n').flatMap((line, index) => {
+				if (!line.trim()) return [];
+				try {
+					return [JSON.parse(line)];
+				} catch (err) {
+					throw new Error(`Line ${index + 1}: ${/** @type {Error} */ (err).message}`);
+				}
+			}),
+		stringify: (data) => {
+			if (!Array.isArray(data)) {
+				throw new TypeError(`NDJSON can only store an array, got ${data === null ? 'null' : typeof data}`);
+			}
+			return data.map((item) => `${JSON.stringify(item)}\n`).join('');
+		},
+	}),
+
+	json5: async () => {
+		const json5 = await loadPackage('json5', 'json5');
+		const { parse, stringify } = json5.default ?? json5;
+		return {
+			name: 'JSON5',
+			extension: '.json5',
+			parse: (content) => parse(content),
+			stringify: (data, { indent }) => stringify(data, null, indent),
+		};
+	},
+
+	yaml: async () => {
+		const { parse, stringify } = await loadPackage('yaml', 'yaml');
+		return {
+			name: 'YAML',
+			extension: '.yaml',
+			parse: (content) => parse(content),
+			// YAML can't indent with tabs nor fit a document on one line, so only numeric indents apply
+			stringify: (data, { indent }) =>
+				stringify(toJSONValue(data), { indent: typeof indent === 'number' && indent > 0 ? indent : 2 }),
+		};
+	},
+
+	msgpack: async () => {
+		const { encode, decode } = await loadPackage('@msgpack/msgpack', 'msgpack');
+		return {
+			name: 'MessagePack',
+			extension: '.msgpack',
+			binary: true,
+			parse: (content) => decode(content),
+			stringify: (data) => encode(data, { ignoreUndefined: true }),
+		};
+	},
+};
+
+/**
+ * Find the format of a file: the given one, otherwise the one matching its extension, JSON by default.
+ * Formats other than JSON and NDJSON load their package (`json5`, `yaml`, `@msgpack/msgpack`), which must be
+ * installed.
+ *
+ * @param {string} filePath
+ * @param {FormatName | FormatAdapter} [format]
+ * @returns {Promise<FormatAdapter>}
+ * @throws {TypeError} When the format is unknown or the adapter is incomplete
+ */
+export async function resolveFormat(filePath, format) {
+	if (typeof format === 'object' && format !== null) {
+		const { parse, stringify, extension } = format;
+		if (typeof parse !== 'function' || typeof stringify !== 'function' || typeof extension !== 'string') {
+			throw new TypeError('Invalid format adapter, required parse(), stringify() and extension');
+		}
+		return format;
+	}
+
+	const name = format ?? FORMAT_BY_EXTENSION[path.extname(filePath).toLowerCase()] ?? 'json';
+	if (!Object.prototype.hasOwnProperty.call(BUILT_IN_FORMATS, name)) {
+		const names = Object.keys(BUILT_IN_FORMATS).join(', ');
+		throw new TypeError(`Unknown format ${JSON.stringify(name)}, expected one of ${names} or an adapter`);
+	}
+	return BUILT_IN_FORMATS[name]();
+}
@@ -0,0 +1,284 @@
+import { parsePath, formatPath, getAtPath } from './path.js';
+
+/**
+ * A field to index, optionally rejecting duplicate values
+ * @typedef {string | { field: string; unique?: boolean }} IndexDefinition
+ */
+
+/**
+ * Indexed fields per array path, e.g. `{ orders: ['customerId', { field: 'number', unique: true }] }`
+ * @typedef {Record<string, IndexDefinition[]>} IndexOptions
+ */
+
+/**
+ * @typedef {Object} Index
+ * @property {string} path - Array path
+ * @property {import('./path.js').PathSegments} segments - Parsed array path
+ * @property {string} field - Indexed field
+ * @property {import('./path.js').PathSegments} fieldSegments - Parsed field
+ * @property {boolean} unique
+ * @property {IndexEntries | undefined} entries - Built on first lookup, then kept up to date
+ */
+
+/**
+ * @typedef {Object} IndexEntries
+ * @property {Map<any, Set<number>>} byKey - Positions of the items by hash key of their field
+ * @property {any[]} keys - Hash key of the item at each position, as last indexed
+ */
+
+/**
+ * A changed path. `spliceStart` is set on an array whose items were added or removed: items from there on moved.
+ * @typedef {{ path: import('./path.js').PathSegments; spliceStart?: number }} DataChange
+ */
+
+/**
+ * Hash key of a value. Dates are keyed by time so equal dates share an entry.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function keyOf(value) {
+	return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Normalize index options. Schema checks are left to the caller.
+ *
+ * @param {IndexOptions} options
+ * @returns {Index[]}
+ */
+export function parseIndexOptions(options) {
+	return Object.entries(options).flatMap(([path, definitions]) => {
+		if (!Array.isArray(definitions)) {
+			throw new TypeError(`Indexes for '${path}' must be an array of fields`);
+		}
+
+		return definitions.map((definition) => {
+			const { field, unique = false } = typeof definition === 'string' ? { field: definition } : definition;
+			const segments = parsePath(path);
+			return {
+				path: formatPath(segments),
+				segments,
+				field,
+				fieldSegments: parsePath(field),
+				unique,
+				entries: undefined,
+			};
+		});
+	});
+}
+
+/** @typedef {ReturnType<typeof createIndexes>} Indexes */
+
+/**
+ * @param {import('./path.js').PathSegments} a
+ * @param {import('./path.js').PathSegments} b
+ * @param {number} length
+ * @returns {boolean} Whether both start with the same `length` segments
+ */
+function samePrefix(a, b, length) {
+	for (let i = 0; i < length; i++) {
+		if (String(a[i]) !== String(b[i])) return false;
+	}
+	return true;
+}
+
+/**
+ * Hash indexes over fields of arrays of objects. Entries are built from the data on first lookup, then kept up
+ * to date from the changes applied to it: an item changed or added at the end costs one entry update, items
+ * inserted or removed cost an update per item after them. Changes that don't say what moved (e.g. an array
+ * replaced) drop the entries of that index, rebuilt on the next lookup.
+ *
+ * @param {() => any} getRoot - Live data
+ * @param {() => any} getExposed - Data as exposed to callers (e.g. change-tracking proxies), for lookup results
+ * @param {Index[]} indexes
+ * @param {{ tracked: boolean }} options - `tracked`: Whether every change to the data is reported through
+ * `update()`. Otherwise lookups return `undefined`, so callers scan instead of trusting possibly stale entries.
+ */
+export function createIndexes(getRoot, getExposed, indexes, { tracked }) {
+	/**
+	 * @param {IndexEntries} entries
+	 * @param {number} position
+	 */
+	const unindexPosition = (entries, position) => {
+		const key = entries.keys[position];
+		const bucket = entries.byKey.get(key);
+		bucket?.delete(position);
+		if (bucket?.size === 0) entries.byKey.delete(key);
+	};
+
+	/**
+	 * Index the item now at a position, in place of the one indexed there
+	 *
+	 * @param {Index} index
+	 * @param {IndexEntries} entries
+	 * @param {any[]} items - Live array
+	 * @param {number} position
+	 */
+	const indexPosition = (index, entries, items, position) => {
+		if (position < entries.keys.length) unindexPosition(entries, position);
+
+		const key = keyOf(getAtPath(items[position], index.fieldSegments));
+		entries.keys[position] = key;
+		const bucket = entries.byKey.get(key);
+		if (bucket) bucket.add(position);
+		else entries.byKey.set(key, new Set([position]));
+	};
+
+	/**
+	 * @param {IndexEntries} entries
+	 * @param {number} length - Positions to keep
+	 */
+	const truncate = (entries, length) => {
+		for (let position = length; position < entries.keys.length; position++) unindexPosition(entries, position);
+		entries.keys.length = Math.min(length, entries.keys.length);
+	};
+
+	/**
+	 * @param {Index} index
+	 * @returns {IndexEntries}
+	 */
+	const entriesOf = (index) => {
+		if (index.entries) return index.entries;
+
+		const items = getAtPath(getRoot(), index.segments);
+		/** @type {IndexEntries} */
+		const entries = { byKey: new Map(), keys: [] };
+		if (Array.isArray(items)) items.forEach((_, position) => indexPosition(index, entries, items, position));
+		return (index.entries = entries);
+	};
+
+	/**
+	 * Apply changes to the entries of an index. Items are read from the live array, so changes may be applied
+	 * one by one as they happen or together after a commit.
+	 *
+	 * @param {Index} index
+	 * @param {IndexEntries} entries
+	 * @param {DataChange[]} changes
+	 * @returns {boolean} Whether the entries are still accurate, otherwise they must be rebuilt
+	 */
+	const applyChanges = (index, entries, changes) => {
+		const depth = index.segments.length;
+		const items = getAtPath(getRoot(), index.segments);
+		if (!Array.isArray(items)) return false;
+
+		for (const { path, spliceStart } of changes) {
+			if (path.length <= depth) {
+				// Elsewhere, or the array or one of its parents itself
+				if (!samePrefix(path, index.segments, path.length)) continue;
+				if (path.length < depth || spliceStart === undefined) return false;
+
+				truncate(entries, spliceStart);
+				for (let position = spliceStart; position < items.length; position++) {
+					indexPosition(index, entries, items, position);
+				}
+				continue;
+			}
+			if (!samePrefix(path, index.segments, depth)) continue;
+
+			const segment = path[depth];
+			if (segment === 'length') {
+				truncate(entries, items.length);
+				for (let position = entries.keys.length; position < items.length; position++) {
+					indexPosition(index, entries, items, position);
+				}
+				continue;
+			}
+
+			// An item replaced, added at the end, or changed
+			const position = Number(segment);
+			if (!Number.isInteger(position) || position > entries.keys.length) return false;
+			indexPosition(index, entries, items, position);
+		}
+
+		// Items removed one by one through a proxy (e.g. `pop()`) are only gone once the length is reported
+		truncate(entries, items.length);
+		return entries.keys.length === items.length;
+	};
+
+	return {
+		/**
+		 * Keep built entries up to date with changes applied to the data
+		 *
+		 * @param {DataChange[]} changes
+		 */
+		update(changes) {
+			for (const index of indexes) {
+				if (index.entries && !applyChanges(index, index.entries, changes)) index.entries = undefined;
+			}
+		},
+
+		/**
+		 * Check whether a field of an array is indexed
+		 *
+		 * @param {string} path - Array path
+		 * @param {string} field
+		 * @returns {boolean}
+		 */
+		has(path, field) {
+			return indexes.some((index) => index.path === path && index.field === field);
+		},
+
+		/**
+		 * Items whose field equals `value`, in array order
+		 *
+		 * @param {string} path - Array path
+		 * @param {string} field - Indexed field
+		 * @param {any} value
+		 * @returns {any[] | undefined} Matching items, `undefined` when the field is not indexed or changes to the
+		 * data are not tracked
+		 */
+		lookup(path, field, value) {
+			const index = indexes.find((candidate) => candidate.path === path && candidate.field === field);
+			if (!index || !tracked) return undefined;
+
+			const positions = [...(entriesOf(index).byKey.get(keyOf(value)) ?? [])].sort((a, b) => a - b);
+			const items = getAtPath(getExposed(), index.segments);
+			return positions.map((position) => items[position]);
+		},
+
+		/**
+		 * Find values repeated in unique indexes of some data
+		 *
+		 * @param {any} root - Data to check (not necessarily the live data)
+		 * @returns {import('./validation-error.js').ValidationIssue[]}
+		 */
+		uniqueIssues(root) {
+			/** @type {import('./validation-error.js').ValidationIssue[]} */
+			const issues = [];
+
+			for (const index of indexes) {
+				if (!index.unique) continue;
+
+				const items = getAtPath(root, index.segments);
+				if (!Array.isArray(items)) continue;
+
+				/** @type {Map<any, number>} */
+				const firstIndexOf = new Map();
+				items.forEach((item, position) => {
+					const value = getAtPath(item, index.fieldSegments);
+					if (value === undefined || value === null) return;
+
+					const key = keyOf(value);
+					const first = firstIndexOf.get(key);
+					if (first === undefined) {
+						firstIndexOf.set(key, position);
+						return;
+					}
+
+					const path = formatPath([...index.segments, position, ...index.fieldSegments]);
+					const firstPath = formatPath([...index.segments, first, ...index.fieldSegments]);
+					issues.push({
+						path,
+						expected: 'unique value',
+						received: typeof value,
+						value,
+						message: `Field '${path}' must be unique, same value as '${firstPath}': ${JSON.stringify(value)}`,
+					});
+				});
+			}
+
+			return issues;
+		},
+	};
+}
@@ -0,0 +1,128 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Receives the data at version N and returns (or resolves to) the data at version N + 1
+ * @typedef {(data: any) => any} Migration
+ */
+
+/** @typedef {{ [fromVersion: number]: Migration }} MigrationMap */
+
+/** Reserved root key holding the schema version in the file */
+export const VERSION_KEY = '$version';
+
+/** Root key holding the document next to the version when it is not an object (e.g. an array) */
+export const DATA_KEY = '$data';
+
+/**
+ * @param {any} value
+ * @returns {value is Record<string, any>}
+ */
+function isObjectDocument(value) {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Separate the stored version from the document. Files written before versioning was enabled count as version 0.
+ *
+ * @param {any} parsed - Parsed file content
+ * @returns {{ version: number; data: any }}
+ */
+export function splitVersion(parsed) {
+	if (!isObjectDocument(parsed) || !(VERSION_KEY in parsed)) {
+		return { version: 0, data: parsed };
+	}
+
+	const { [VERSION_KEY]: version, ...data } = parsed;
+	if (!Number.isInteger(version) || version < 0) {
+		throw new Error(`Invalid ${VERSION_KEY} in file, expected a non-negative integer, got ${JSON.stringify(version)}`);
+	}
+
+	// A wrapped array or primitive document
+	const keys = Object.keys(data);
+	if (keys.length === 1 && keys[0] === DATA_KEY && !isObjectDocument(data[DATA_KEY])) {
+		return { version, data: data[DATA_KEY] };
+	}
+
+	return { version, data };
+}
+
+/**
+ * Add the version key in front of the document for writing. Documents that are not objects are wrapped
+ * as `{ $version, $data }`.
+ *
+ * @param {any} data - Document
+ * @param {number} version - Schema version
+ * @returns {any}
+ */
+export function withVersion(data, version) {
+	return isObjectDocument(data) ? { [VERSION_KEY]: version, ...data } : { [VERSION_KEY]: version, [DATA_KEY]: data };
+}
+
+/**
+ * Run migrations in order, from `fromVersion` up to `toVersion`. Steps without a migration keep the data as-is.
+ *
+ * @param {any} data - Data at `fromVersion`
+ * @param {number} fromVersion - Version stored in the file
+ * @param {number} toVersion - Current schema version
+ * @param {MigrationMap} migrations - Migration for each starting version
+ * @param {string} absPath - File path, for error messages
+ * @returns {Promise<any>} Data at `toVersion`
+ * @throws {Error} When the file is newer than the schema, or a migration fails
+ */
+export async function runMigrations(data, fromVersion, toVersion, migrations, absPath) {
+	if (fromVersion > toVersion) {
+		throw new Error(`File version ${fromVersion} is newer than schema version ${toVersion}: ${absPath}`);
+	}
+
+	let current = data;
+	for (let version = fromVersion; version < toVersion; version++) {
+		const migrate = migrations[version];
+		if (!migrate) continue;
+
+		try {
+			current = await migrate(current);
+		} catch (err) {
+			throw new Error(
+				`Migration from version ${version} to ${version + 1} failed: ${absPath}. ${/** @type {Error} */ (err).message}`
+			);
+		}
+	}
+
+	return current;
+}
+
+/**
+ * Copy the file before it gets overwritten by migrated data
+ *
+ * @param {import('./storage.js').StorageAdapter} storage - Storage holding the file
+ * @param {string} absPath - File path
+ * @param {number} version - Version of the file content
+ * @param {import('./storage.js').StorageWriteOptions} options
+ * @returns {Promise<string>} Path of the backup
+ */
+export async function backupBeforeMigration(storage, absPath, version, options) {
+	const backupPath = `${absPath}.v${version}.${Date.now()}.bak`;
+	const content = await storage.read(absPath, { binary: true, encoding: options.encoding });
+	await storage.write(backupPath, content, options);
+	return backupPath;
+}
+
+/**
+ * Find the backups taken by `backupBeforeMigration` on the local disk
+ *
+ * @param {string} absPath - Absolute path of the file
+ * @returns {Promise<string[]>} Absolute paths of the backups
+ */
+export async function listMigrationBackups(absPath) {
+	const dir = path.dirname(absPath);
+	const prefix = `${path.basename(absPath)}.v`;
+	const names = await fs.readdir(dir).catch((err) => {
+		if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return [];
+		throw err;
+	});
+
+	return names
+		.filter((name) => name.startsWith(prefix) && /^\d+\.\d+\.bak$/.test(name.slice(prefix.length)))
+		.map((name) => path.join(dir, name));
+}
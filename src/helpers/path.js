@@ -0,0 +1,83 @@
+/**
+ * Parsed path, e.g. `users[2].email` -> `['users', 2, 'email']`. `'*'` matches any key or index.
+ * @typedef {(string | number)[]} PathSegments
+ */
+
+/** One segment: `key` (optionally after a dot) or `[index]` / `[*]` */
+const SEGMENT_PATTERN = /(?:^|\.)([^.[\]]+)|\[(\d+|\*)\]/y;
+
+/**
+ * Parse a path string like `a.b[2].c` or `users[*].email` into segments
+ *
+ * @param {string} pathString - Path, empty string for the root
+ * @returns {PathSegments}
+ * @throws {TypeError} When the path is malformed
+ */
+export function parsePath(pathString) {
+	if (typeof pathString !== 'string') {
+		throw new TypeError(`Path must be a string, got ${typeof pathString}`);
+	}
+
+	/** @type {PathSegments} */
+	const segments = [];
+	let index = 0;
+
+	while (index < pathString.length) {
+		SEGMENT_PATTERN.lastIndex = index;
+		const match = SEGMENT_PATTERN.exec(pathString);
+		if (!match) throw new TypeError(`Invalid path '${pathString}' at position ${index}`);
+
+		const [, key, bracket] = match;
+		segments.push(key ?? (bracket === '*' ? '*' : Number(bracket)));
+		index = SEGMENT_PATTERN.lastIndex;
+	}
+
+	return segments;
+}
+
+/**
+ * Format segments the same way validation issues report paths, e.g. `users[2].email`
+ *
+ * @param {PathSegments} segments
+ * @returns {string}
+ */
+export function formatPath(segments) {
+	let result = '';
+	for (const segment of segments) {
+		if (typeof segment === 'number') result += `[${segment}]`;
+		else result += result ? `.${segment}` : segment;
+	}
+	return result;
+}
+
+/**
+ * Check whether a change at `changed` affects `pattern`: either the change is inside the pattern's path,
+ * or it replaced a parent of it (e.g. replacing `users` affects `users[*].email`)
+ *
+ * @param {PathSegments} pattern - Subscribed path, may contain `'*'`
+ * @param {PathSegments} changed - Concrete path that changed
+ * @returns {boolean}
+ */
+export function pathsOverlap(pattern, changed) {
+	const length = Math.min(pattern.length, changed.length);
+	for (let i = 0; i < length; i++) {
+		if (pattern[i] !== '*' && String(pattern[i]) !== String(changed[i])) return false;
+	}
+	return true;
+}
+
+/**
+ * Read the value at a path, `undefined` when any part of it is missing
+ *
+ * @param {any} root
+ * @param {PathSegments} segments
+ * @returns {any}
+ */
+export function getAtPath(root, segments) {
+	let current = root;
+	for (const segment of segments) {
+		if (typeof current !== 'object' || current === null) return undefined;
+		current = current[segment];
+	}
+	return current;
+}
@@ -0,0 +1,437 @@
+import { parsePath, getAtPath } from './path.js';
+
+/**
+ * Operators for one field. A plain value instead of an operator object means `$eq`.
+ * @typedef {Object} FieldOperators
+ * @property {any} [$eq]
+ * @property {any} [$ne]
+ * @property {any} [$gt]
+ * @property {any} [$gte]
+ * @property {any} [$lt]
+ * @property {any} [$lte]
+ * @property {any[]} [$in]
+ * @property {RegExp | string} [$regex] - Tested against each item: don't pass patterns from untrusted input as is,
+ * a pattern like `(a+)+$` can take exponential time (ReDoS)
+ */
+
+/**
+ * Mongo-like filter: `{ field: value | FieldOperators, $and: [...], $or: [...] }`. Fields may be nested paths
+ * like `'address.city'`. All conditions of one filter must match.
+ * @typedef {{ [field: string]: any; $and?: Filter[]; $or?: Filter[] }} Filter
+ */
+
+/**
+ * Sort order: `{ createdAt: -1, name: 1 }` (`'asc'` / `'desc'` also work), or a string like `'-createdAt,name'`
+ * @typedef {Record<string, 1 | -1 | 'asc' | 'desc'> | string} SortSpec
+ */
+
+/**
+ * Base type of a field, used to check field names and convert operands given as strings (e.g. from a query
+ * string): `'number'`, `'integer'`, `'boolean'`, `'date'`, `'string'`, or `null` for other schemas.
+ * `undefined` when the field doesn't exist.
+ * @typedef {(field: import('./path.js').PathSegments) => string | null | undefined} FieldTypeResolver
+ */
+
+/**
+ * @template T
+ * @typedef {Object} QueryPage
+ * @property {T[]} items - Items of this page
+ * @property {string | null} nextCursor - Pass to `after()` for the next page, `null` on the last page
+ */
+
+/**
+ * Query builder. Builder methods return a new query, so a base query can be reused.
+ * @template T
+ * @typedef {Object} Query
+ * @property {(filter: Filter) => Query<T>} where - Keep items matching a filter. Several `where` calls must all match.
+ * @property {(spec: SortSpec) => Query<T>} sort - Order results, replacing any previous sort
+ * @property {(count: number | string) => Query<T>} skip - Skip the first items
+ * @property {(count: number | string) => Query<T>} limit - Return at most this many items
+ * @property {(fields: string[]) => Query<T>} select - Only include these fields (copies instead of live items)
+ * @property {(fields: string[]) => Query<any>} populate - Replace these references with the items they point to
+ * (copies instead of live items), see `store.populate()`
+ * @property {(cursor: string | null | undefined) => Query<T>} after - Continue after the item of a `page()` cursor
+ * @property {() => T[]} toArray - Run the query
+ * @property {() => T | undefined} first - First result, `undefined` when there is none
+ * @property {() => number} count - Number of matching items, ignoring `skip` and `limit`
+ * @property {() => QueryPage<T>} page - Run the query for one page and get the cursor of the next one.
+ * Requires `limit()`.
+ */
+
+/**
+ * @typedef {Object} QueryState
+ * @property {Filter[]} filters
+ * @property {[import('./path.js').PathSegments, 1 | -1][]} sort
+ * @property {number} skip
+ * @property {number | undefined} limit
+ * @property {import('./path.js').PathSegments[] | undefined} select
+ * @property {((item: any) => any) | undefined} populate
+ * @property {string | undefined} after
+ */
+
+const FIELD_OPERATORS = new Set(['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$regex']);
+
+/**
+ * Order two values: missing values first, then by type, Dates by time, others with `<`
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+	if (a === b) return 0;
+	if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1;
+	if (b === undefined || b === null) return 1;
+
+	const left = a instanceof Date ? a.getTime() : a;
+	const right = b instanceof Date ? b.getTime() : b;
+	if (typeof left !== typeof right) return typeof left < typeof right ? -1 : 1;
+	return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Create a function replacing references in an item, checking the fields right away
+ * @typedef {(fields: string[]) => (item: any) => any} PopulatorFactory
+ */
+
+/**
+ * Create a query over the items of an array
+ *
+ * @template T
+ * @param {() => T[]} getItems - Current items
+ * @param {string} path - Path of the array, for error messages
+ * @param {FieldTypeResolver} fieldType - Schema lookup for item fields
+ * @param {string | undefined} primaryKey - Unique item field appended to the sort, so cursors are stable
+ * @param {PopulatorFactory} populator - Resolves references for `populate()`
+ * @param {QueryState} [state]
+ * @returns {Query<T>}
+ */
+export function createQuery(getItems, path, fieldType, primaryKey, populator, state) {
+	/** @type {QueryState} */
+	const current = state ?? {
+		filters: [],
+		sort: [],
+		skip: 0,
+		limit: undefined,
+		select: undefined,
+		populate: undefined,
+		after: undefined,
+	};
+
+	/**
+	 * @param {string} field
+	 * @returns {{ segments: import('./path.js').PathSegments; type: string | null }}
+	 */
+	const resolveField = (field) => {
+		const segments = parsePath(field);
+		const type = fieldType(segments);
+		if (type === undefined) throw new TypeError(`Unknown field '${field}' in query on '${path}'`);
+		return { segments, type };
+	};
+
+	/**
+	 * Convert an operand given as a string to the field's type, e.g. `'18'` for a number field
+	 *
+	 * @param {any} value
+	 * @param {string | null} type
+	 * @param {string} field - For error messages
+	 * @returns {any}
+	 */
+	const coerceOperand = (value, type, field) => {
+		if (typeof value !== 'string') return value;
+
+		/** @param {string} expected */
+		const invalid = (expected) =>
+			new TypeError(`Invalid value for '${field}' in query on '${path}': expected ${expected}, got '${value}'`);
+
+		switch (type) {
+			case 'number':
+			case 'integer': {
+				const number = Number(value);
+				if (value.trim() === '' || isNaN(number)) throw invalid('a number');
+				return number;
+			}
+			case 'boolean':
+				if (value !== 'true' && value !== 'false') throw invalid('a boolean');
+				return value === 'true';
+			case 'date': {
+				const date = new Date(value);
+				if (isNaN(date.getTime())) throw invalid('a date');
+				return date;
+			}
+			default:
+				return value;
+		}
+	};
+
+	/**
+	 * Compile a filter into a predicate, checking field names and operators up front
+	 *
+	 * @param {Filter} filter
+	 * @returns {(item: any) => boolean}
+	 */
+	const compileFilter = (filter) => {
+		if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+			throw new TypeError(`Query filter on '${path}' must be an object`);
+		}
+
+		/** @type {((item: any) => boolean)[]} */
+		const predicates = Object.entries(filter).map(([key, condition]) => {
+			if (key === '$and' || key === '$or') {
+				if (!Array.isArray(condition)) throw new TypeError(`${key} in query on '${path}' must be an array`);
+				const branches = condition.map(compileFilter);
+				return key === '$and'
+					? (item) => branches.every((branch) => branch(item))
+					: (item) => branches.some((branch) => branch(item));
+			}
+
+			const { segments, type } = resolveField(key);
+			const isOperatorObject =
+				typeof condition === 'object' &&
+				condition !== null &&
+				!(condition instanceof Date) &&
+				!(condition instanceof RegExp) &&
+				!Array.isArray(condition) &&
+				Object.keys(condition).some((name) => name.startsWith('$'));
+			const operators = isOperatorObject ? condition : { $eq: condition };
+
+			/** @type {((value: any) => boolean)[]} */
+			const checks = Object.entries(operators).map(([operator, rawOperand]) => {
+				if (!FIELD_OPERATORS.has(operator)) {
+					throw new TypeError(`Unknown operator '${operator}' for '${key}' in query on '${path}'`);
+				}
+
+				if (operator === '$regex') {
+					// Without the g and y flags, test() doesn't keep lastIndex between items (or between queries
+					// reusing the same RegExp), which would skip matches
+					const regex =
+						rawOperand instanceof RegExp
+							? new RegExp(rawOperand.source, rawOperand.flags.replace(/[gy]/g, ''))
+							: new RegExp(String(rawOperand));
+					return (value) => typeof value === 'string' && regex.test(value);
+				}
+
+				if (operator === '$in') {
+					if (!Array.isArray(rawOperand)) {
+						throw new TypeError(`$in for '${key}' in query on '${path}' must be an array`);
+					}
+					const options = rawOperand.map((option) => coerceOperand(option, type, key));
+					return (value) => options.some((option) => compareValues(value, option) === 0);
+				}
+
+				const operand = coerceOperand(rawOperand, type, key);
+				switch (operator) {
+					case '$eq':
+						return (value) => compareValues(value, operand) === 0;
+					case '$ne':
+						return (value) => compareValues(value, operand) !== 0;
+					case '$gt':
+						return (value) => value != null && compareValues(value, operand) > 0;
+					case '$gte':
+						return (value) => value != null && compareValues(value, operand) >= 0;
+					case '$lt':
+						return (value) => value != null && compareValues(value, operand) < 0;
+					default:
+						return (value) => value != null && compareValues(value, operand) <= 0;
+				}
+			});
+
+			return (item) => {
+				const value = getAtPath(item, segments);
+				return checks.every((check) => check(value));
+			};
+		});
+
+		return (item) => predicates.every((predicate) => predicate(item));
+	};
+
+	const predicates = current.filters.map(compileFilter);
+
+	/** @returns {[import('./path.js').PathSegments, 1 | -1][]} Sort with the primary key as tiebreaker */
+	const effectiveSort = () => {
+		const hasKey = primaryKey !== undefined && current.sort.some(([segments]) => segments.join('.') === primaryKey);
+		return primaryKey === undefined || hasKey ? current.sort : [...current.sort, [[primaryKey], 1]];
+	};
+
+	/**
+	 * @param {any} item
+	 * @returns {any[]} Values of the sort fields, for cursors
+	 */
+	const sortValues = (item) => effectiveSort().map(([segments]) => getAtPath(item, segments));
+
+	/**
+	 * @param {any[]} left
+	 * @param {any[]} right
+	 * @returns {number}
+	 */
+	const compareSortValues = (left, right) => {
+		const sort = effectiveSort();
+		for (let i = 0; i < sort.length; i++) {
+			const order = compareValues(left[i], right[i]);
+			if (order !== 0) return order * sort[i][1];
+		}
+		return 0;
+	};
+
+	/**
+	 * @param {any} item
+	 * @returns {string}
+	 */
+	const encodeCursor = (item) => Buffer.from(JSON.stringify(sortValues(item))).toString('base64url');
+
+	/**
+	 * @param {string} cursor
+	 * @returns {any[]}
+	 */
+	const decodeCursor = (cursor) => {
+		/** @type {unknown} */
+		let values;
+		try {
+			values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+		} catch {
+			throw new TypeError(`Invalid cursor for query on '${path}'`);
+		}
+
+		const sort = effectiveSort();
+		if (!Array.isArray(values) || values.length !== sort.length) {
+			throw new TypeError(`Invalid cursor for query on '${path}'`);
+		}
+		// Dates were stored as ISO strings
+		return values.map((value, i) => (fieldType(sort[i][0]) === 'date' && value !== null ? new Date(value) : value));
+	};
+
+	/**
+	 * Filtered, sorted items after the cursor, before skip/limit
+	 * @returns {T[]}
+	 */
+	const matchingItems = () => {
+		let items = getItems().filter((item) => predicates.every((predicate) => predicate(item)));
+
+		if (effectiveSort().length > 0) {
+			items.sort((a, b) => compareSortValues(sortValues(a), sortValues(b)));
+		}
+		if (current.after !== undefined) {
+			const cursorValues = decodeCursor(current.after);
+			items = items.filter((item) => compareSortValues(sortValues(item), cursorValues) > 0);
+		}
+		return items;
+	};
+
+	/**
+	 * @param {T} item
+	 * @returns {T}
+	 */
+	const project = (item) => {
+		// Populate first, so selected references come out populated
+		const full = current.populate === undefined ? item : current.populate(item);
+		if (current.select === undefined) return full;
+
+		/** @type {Record<string, any>} */
+		const result = {};
+		for (const segments of current.select) {
+			const value = getAtPath(full, segments);
+			if (value === undefined) continue;
+
+			let target = result;
+			for (const segment of segments.slice(0, -1)) target = target[segment] ??= {};
+			target[segments[segments.length - 1]] = value;
+		}
+		return /** @type {T} */ (result);
+	};
+
+	/**
+	 * @param {Partial<QueryState>} changes
+	 * @returns {Query<T>}
+	 */
+	const next = (changes) => createQuery(getItems, path, fieldType, primaryKey, populator, { ...current, ...changes });
+
+	/**
+	 * @param {unknown} value
+	 * @param {string} name
+	 * @returns {number}
+	 */
+	const toCount = (value, name) => {
+		const number = Number(value);
+		if (!Number.isInteger(number) || number < 0) {
+			throw new TypeError(`${name} must be a non-negative integer, got ${JSON.stringify(value)}`);
+		}
+		return number;
+	};
+
+	/** @type {Query<T>} */
+	const query = {
+		where(filter) {
+			compileFilter(filter);
+			return next({ filters: [...current.filters, filter] });
+		},
+
+		sort(spec) {
+			const entries =
+				typeof spec === 'string'
+					? spec
+							.split(',')
+							.map((part) => part.trim())
+							.filter(Boolean)
+							.map((part) => (part.startsWith('-') ? [part.slice(1), -1] : [part.replace(/^\+/, ''), 1]))
+					: Object.entries(spec);
+
+			/** @type {QueryState['sort']} */
+			const sort = entries.map(([field, direction]) => {
+				if (![1, -1, 'asc', 'desc'].includes(direction)) {
+					throw new TypeError(`Invalid sort direction for '${field}': ${JSON.stringify(direction)}`);
+				}
+				return [resolveField(String(field)).segments, direction === -1 || direction === 'desc' ? -1 : 1];
+			});
+			return next({ sort });
+		},
+
+		skip(count) {
+			return next({ skip: toCount(count, 'skip') });
+		},
+
+		limit(count) {
+			return next({ limit: toCount(count, 'limit') });
+		},
+
+		select(fields) {
+			return next({ select: fields.map((field) => resolveField(field).segments) });
+		},
+
+		populate(fields) {
+			return next({ populate: populator(fields) });
+		},
+
+		after(cursor) {
+			return next({ after: cursor ?? undefined });
+		},
+
+		toArray() {
+			const items = matchingItems().slice(current.skip);
+			return (current.limit === undefined ? items : items.slice(0, current.limit)).map(project);
+		},
+
+		first() {
+			const [item] = matchingItems().slice(current.skip, current.skip + 1);
+			return item === undefined ? undefined : project(item);
+		},
+
+		count() {
+			return matchingItems().length;
+		},
+
+		page() {
+			if (current.limit === undefined) throw new TypeError(`page() requires limit() in query on '${path}'`);
+
+			const items = matchingItems().slice(current.skip);
+			const pageItems = items.slice(0, current.limit);
+			const hasMore = items.length > pageItems.length;
+
+			return {
+				items: pageItems.map(project),
+				nextCursor: hasMore && pageItems.length > 0 ? encodeCursor(pageItems[pageItems.length - 1]) : null,
+			};
+		},
+	};
+
+	return query;
+}
@@ -0,0 +1,75 @@
+/**
+ * A reference found in the data of a store
+ * @typedef {Object} Reference
+ * @property {import('./path.js').PathSegments} segments - Where the reference is
+ * @property {import('../index.js').RefSchema} ref - Its schema
+ * @property {string | number} value - Key of the referenced item
+ */
+
+/**
+ * @typedef {Object} RegisteredStore
+ * @property {any} store - Store returned by `SDO.create`
+ * @property {boolean} checkRefs - Whether the store rejects writes holding references to missing items
+ * @property {import('../index.js').RefSchema[]} refs - References declared in the store's schema
+ * @property {(root?: any) => Reference[]} references - References held by some data of the store,
+ * its current data by default
+ * @property {(change: (draft: any) => void) => void} check - Reject a change to a copy of the store's data like
+ * a transaction making it would, without applying it
+ */
+
+/**
+ * Open stores by name, until `close()`
+ *
+ * @type {Map<string, RegisteredStore>}
+ */
+const stores = new Map();
+
+/**
+ * @param {string} name
+ * @throws {Error} When an open store has this name
+ */
+export function assertStoreNameFree(name) {
+	const existing = findStore(name);
+	if (existing) {
+		throw new Error(
+			`A store named '${name}' is already open (${existing.store.filePath}), close it first or set config.name`
+		);
+	}
+}
+
+/**
+ * Register a store under a name
+ *
+ * @param {string} name
+ * @param {RegisteredStore} entry
+ * @throws {Error} When an open store has this name
+ */
+export function registerStore(name, entry) {
+	assertStoreNameFree(name);
+	stores.set(name, entry);
+}
+
+/**
+ * Remove a store from the registry
+ *
+ * @param {string} name
+ * @param {RegisteredStore} entry
+ */
+export function unregisterStore(name, entry) {
+	if (stores.get(name) === entry) stores.delete(name);
+}
+
+/**
+ * @param {string} name
+ * @returns {RegisteredStore | undefined}
+ */
+export function findStore(name) {
+	return stores.get(name);
+}
+
+/**
+ * @returns {[string, RegisteredStore][]} Every registered store with its name
+ */
+export function listStores() {
+	return [...stores];
+}
@@ -0,0 +1,197 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { writeFileAtomic } from './atomic-write.js';
+import { createLockfileLock } from './file-lock.js';
+import { watchFile } from './file-watcher.js';
+import { createDebouncedTask } from './debounce.js';
+
+/**
+ * @typedef {Object} StorageReadOptions
+ * @property {boolean} binary - Return the bytes, without decoding
+ * @property {BufferEncoding} encoding - Encoding of text content
+ */
+
+/**
+ * @typedef {Object} StorageWriteOptions
+ * @property {BufferEncoding} encoding - Encoding of text content
+ * @property {import('./atomic-write.js').Durability} durability - Requested durability, where it applies
+ */
+
+/**
+ * Where a store keeps its document. Paths are the store's `file`, after `resolve()`.
+ * @typedef {Object} StorageAdapter
+ * @property {(path: string, options: StorageReadOptions) => Promise<string | Uint8Array>} read - Read the content,
+ * rejecting with an error of code `'ENOENT'` when missing
+ * @property {(path: string, content: string | Uint8Array, options: StorageWriteOptions) => Promise<void>} write
+ * - Replace the content, entirely or not at all
+ * @property {(path: string) => Promise<boolean>} exists - Whether there is content at the path
+ * @property {(dir: string) => Promise<void>} ensureDir - Create a directory and its parents, when missing
+ * @property {(path: string, options: import('./file-lock.js').InterProcessLockOptions) => {
+ * 	run<T>(task: () => Promise<T>): Promise<T>;
+ * }} [lock] - Lock shared with other processes, for `lock: 'inter-process'`
+ * @property {(
+ * 	path: string,
+ * 	onChange: () => void,
+ * 	onError: (err: Error) => void,
+ * 	options: import('./debounce.js').DebounceOptions
+ * ) => { close(): void }} [watch] - Report changes made by others, for `watch`
+ * @property {(path: string) => string} [resolve] - Normalize a path, kept as is when missing
+ */
+
+/**
+ * Files on the local disk: the default storage. Writes are atomic, `lock` holds a `<file>.lock` lockfile and
+ * `watch` watches the parent directory.
+ *
+ * @implements {StorageAdapter}
+ */
+export class FileAdapter {
+	/**
+	 * @param {string} filePath
+	 * @returns {string} Absolute path
+	 */
+	resolve(filePath) {
+		return path.resolve(filePath);
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {StorageReadOptions} options
+	 * @returns {Promise<string | Buffer>}
+	 */
+	async read(filePath, { binary, encoding }) {
+		return binary ? fs.readFile(filePath) : fs.readFile(filePath, encoding);
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {string | Uint8Array} content
+	 * @param {StorageWriteOptions} options
+	 * @returns {Promise<void>}
+	 */
+	write(filePath, content, { encoding, durability }) {
+		return writeFileAtomic(filePath, content, { encoding, durability });
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @returns {Promise<boolean>}
+	 */
+	exists(filePath) {
+		return fs.access(filePath).then(
+			() => true,
+			() => false
+		);
+	}
+
+	/**
+	 * @param {string} dir
+	 * @returns {Promise<void>}
+	 */
+	async ensureDir(dir) {
+		await fs.mkdir(dir, { recursive: true });
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {import('./file-lock.js').InterProcessLockOptions} options
+	 */
+	lock(filePath, options) {
+		return createLockfileLock(filePath, options);
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {() => void} onChange
+	 * @param {(err: Error) => void} onError
+	 * @param {import('./debounce.js').DebounceOptions} options
+	 * @returns {{ close(): void }}
+	 */
+	watch(filePath, onChange, onError, options) {
+		return watchFile(filePath, onChange, onError, options);
+	}
+}
+
+/**
+ * Documents kept in memory, for tests: nothing touches the disk and each adapter starts empty (or with the given
+ * files). Writes through `write()` are reported to watchers, so they can stand for changes made by others.
+ * There is no lock shared with other processes.
+ *
+ * @implements {StorageAdapter}
+ */
+export class MemoryAdapter {
+	/**
+	 * @param {Record<string, string | Uint8Array>} [files] - Initial content of each path
+	 */
+	constructor(files = {}) {
+		/** @type {Map<string, string | Uint8Array>} Content of each path, as written */
+		this.files = new Map(Object.entries(files));
+		/** @type {Map<string, Set<() => void>>} */
+		this.watchers = new Map();
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {StorageReadOptions} options
+	 * @returns {Promise<string | Buffer>}
+	 */
+	async read(filePath, { binary, encoding }) {
+		const content = this.files.get(filePath);
+		if (content === undefined) {
+			const err = /** @type {NodeJS.ErrnoException} */ (new Error(`ENOENT: no such file in memory: ${filePath}`));
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		if (binary) return Buffer.from(content);
+		return typeof content === 'string' ? content : Buffer.from(content).toString(encoding);
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @param {string | Uint8Array} content
+	 * @param {Partial<StorageWriteOptions>} [options] - Unused, memory holds content as given
+	 * @returns {Promise<void>}
+	 */
+	async write(filePath, content, options) {
+		// Copy bytes, so later changes to the caller's buffer don't reach the stored content
+		this.files.set(filePath, typeof content === 'string' ? content : Uint8Array.from(content));
+		this.watchers.get(filePath)?.forEach((notify) => notify());
+	}
+
+	/**
+	 * @param {string} filePath
+	 * @returns {Promise<boolean>}
+	 */
+	async exists(filePath) {
+		return this.files.has(filePath);
+	}
+
+	/**
+	 * Directories are implied by paths
+	 * @returns {Promise<void>}
+	 */
+	async ensureDir() {}
+
+	/**
+	 * @param {string} filePath
+	 * @param {() => void} onChange
+	 * @param {(err: Error) => void} onError - Unused, watching memory can't fail
+	 * @param {import('./debounce.js').DebounceOptions} options
+	 * @returns {{ close(): void }}
+	 */
+	watch(filePath, onChange, onError, options) {
+		const task = createDebouncedTask(onChange, { debounceMs: 50, maxWaitMs: 500, ...options });
+		const notify = () => task.schedule();
+
+		const watchers = this.watchers.get(filePath) ?? new Set();
+		this.watchers.set(filePath, watchers.add(notify));
+
+		return {
+			close: () => {
+				task.cancel();
+				watchers.delete(notify);
+			},
+		};
+	}
+}
@@ -0,0 +1,28 @@
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - Path of the invalid field, e.g. `users[2].email` (empty string for the root)
+ * @property {string} expected - Description of the expected type, e.g. `number`, `"draft" | "published"`
+ * @property {string} received - Type of the received value, e.g. `string`, `undefined`, `array`
+ * @property {any} value - The received value
+ * @property {string} message - Human readable description of the issue
+ */
+
+/**
+ * Thrown when data does not match its schema. Lists every failure, not only the first one.
+ */
+export class SDOValidationError extends Error {
+	/**
+	 * @param {ValidationIssue[]} issues - All validation failures
+	 * @param {string} [context] - What was being validated, prefixed to the message
+	 */
+	constructor(issues, context) {
+		const summary =
+			issues.length === 1
+				? issues[0].message
+				: `${issues.length} validation issues:\n${issues.map((issue) => `  - ${issue.message}`).join('\n')}`;
+
+		super(context ? `${context}: ${summary}` : summary);
+		this.name = 'SDOValidationError';
+		this.issues = issues;
+	}
+}
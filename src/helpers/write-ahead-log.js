@@ -0,0 +1,243 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+import { syncDir } from './atomic-write.js';
+import { replaceValues, reviveValues } from './formats.js';
+
+/**
+ * JSON Patch (RFC 6902) operation. Only the operations produced by diffing documents are supported.
+ * @typedef {{ op: 'add' | 'remove' | 'replace'; path: string; value?: any }} Operation
+ */
+
+/**
+ * @typedef {Object} WalOptions
+ * @property {number} [maxOps=1000] - Compact once the log holds this many operations
+ * @property {number} [maxBytes=1048576] - Compact once the log is this large (bytes)
+ */
+
+/**
+ * Format path segments as a JSON Pointer, e.g. `['users', 2, 'a/b']` -> `/users/2/a~1b`
+ *
+ * @param {import('./path.js').PathSegments} segments
+ * @returns {string}
+ */
+export function toPointer(segments) {
+	return segments.map((segment) => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+	if (pointer === '') return [];
+	return pointer
+		.slice(1)
+		.split('/')
+		.map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Apply operations in place. Lenient about missing parents, so a log still applies to a document that was
+ * coerced by validation after it was written.
+ *
+ * @param {any} root
+ * @param {Operation[]} operations
+ * @returns {any} The document, replaced itself by operations on the root
+ */
+export function applyOperations(root, operations) {
+	let document = root;
+
+	for (const { op, path: pointer, value } of operations) {
+		const segments = parsePointer(pointer);
+		if (segments.length === 0) {
+			document = op === 'remove' ? undefined : value;
+			continue;
+		}
+
+		let parent = document;
+		for (const segment of segments.slice(0, -1)) {
+			parent = typeof parent === 'object' && parent !== null ? parent[segment] : undefined;
+		}
+		if (typeof parent !== 'object' || parent === null) continue;
+
+		const key = segments[segments.length - 1];
+		if (Array.isArray(parent)) {
+			const index = key === '-' ? parent.length : Number(key);
+			if (op === 'add') parent.splice(index, 0, value);
+			else if (op === 'remove') parent.splice(index, 1);
+			else parent[index] = value;
+		} else if (op === 'remove') {
+			delete parent[key];
+		} else {
+			parent[key] = value;
+		}
+	}
+
+	return document;
+}
+
+/**
+ * @param {string | Uint8Array} content
+ * @returns {string}
+ */
+function hashOf(content) {
+	return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Append-only log of JSON Patch operations next to a file. Each line holds the operations of one write, after a
+ * header line naming the hash of the file content they apply to, so a log left over from before a compaction
+ * (e.g. after a crash between writing the file and clearing the log) is never replayed twice.
+ *
+ * @param {string} logPath - Absolute path of the log
+ * @param {{
+ * 	encoding: BufferEncoding;
+ * 	durability: import('./atomic-write.js').Durability;
+ * 	replacer?: (this: any, key: string, value: any) => any;
+ * 	reviver?: (this: any, key: string, value: any) => any;
+ * }} options - `replacer` and `reviver` apply to the operation values, as for the file
+ */
+export function createWriteAheadLog(logPath, { encoding, durability, replacer, reviver }) {
+	/** @type {string | undefined} Hash of the file content the log applies to */
+	let base;
+	/** Whether the log on disk starts with the header for `base` */
+	let started = false;
+	let ops = 0;
+	let bytes = 0;
+
+	/**
+	 * Run `transform` over the values of operations, keyed by the last segment of their path
+	 *
+	 * @param {Operation[]} operations
+	 * @param {(value: any, key: string) => any} transform
+	 * @returns {Operation[]}
+	 */
+	const mapValues = (operations, transform) =>
+		operations.map((operation) => {
+			if (!('value' in operation)) return operation;
+			const key = parsePointer(operation.path).pop() ?? '';
+			return { ...operation, value: transform(operation.value, key) };
+		});
+
+	/**
+	 * @param {string} content
+	 * @param {'a' | 'w'} flag
+	 */
+	const writeLog = async (content, flag) => {
+		const handle = await fs.open(logPath, flag);
+		try {
+			await handle.writeFile(content, encoding);
+			if (durability === 'fsync') await handle.sync();
+		} finally {
+			await handle.close();
+		}
+	};
+
+	return {
+		/** Number of operations in the log */
+		get ops() {
+			return ops;
+		},
+
+		/** Size of the log (bytes) */
+		get bytes() {
+			return bytes;
+		},
+
+		/**
+		 * Apply the logged operations to the file content. A torn last line (crash while appending) is dropped.
+		 *
+		 * @param {string | Uint8Array} fileContent - Raw content of the file
+		 * @param {any} document - Parsed file content
+		 * @returns {Promise<any>} The document with the operations applied
+		 * @throws {Error} When a line other than the last one is corrupted
+		 */
+		async replay(fileContent, document) {
+			base = hashOf(fileContent);
+			started = false;
+			ops = 0;
+			bytes = 0;
+
+			const raw = await fs.readFile(logPath, encoding).catch((err) => {
+				if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') return '';
+				throw err;
+			});
+			// Every complete line ends with a newline, so the last part is empty unless a crash tore the last append
+			const lines = /** @type {string} */ (raw).split('\n');
+			const complete = lines.slice(0, -1);
+			if (complete.length === 0) return document;
+
+			try {
+				if (JSON.parse(complete[0]).base !== base) return document;
+			} catch {
+				return document;
+			}
+
+			let result = document;
+			for (let index = 1; index < complete.length; index++) {
+				/** @type {Operation[]} */
+				let operations;
+				try {
+					operations = JSON.parse(complete[index]);
+				} catch (err) {
+					const reason = /** @type {Error} */ (err).message;
+					throw new Error(`Invalid write-ahead log at line ${index + 1}: ${logPath}. ${reason}`);
+				}
+
+				if (reviver) operations = mapValues(operations, (value, key) => reviveValues(value, reviver, key));
+				result = applyOperations(result, operations);
+				ops += operations.length;
+			}
+
+			// Drop a torn last line, so the next append starts on a fresh line
+			const validLength = Buffer.byteLength(raw, encoding) - Buffer.byteLength(lines[lines.length - 1], encoding);
+			if (lines[lines.length - 1]) await fs.truncate(logPath, validLength);
+
+			started = true;
+			bytes = validLength;
+			return result;
+		},
+
+		/**
+		 * Append the operations of one write
+		 *
+		 * @param {Operation[]} operations
+		 * @returns {Promise<void>}
+		 */
+		async append(operations) {
+			const encoded = replacer
+				? mapValues(operations, (value, key) => replaceValues(value, replacer, key))
+				: operations;
+			const line = `${JSON.stringify(encoded)}\n`;
+			if (started) {
+				await writeLog(line, 'a');
+			} else {
+				// A new log, or one left over for another file content: start over
+				const content = `${JSON.stringify({ base })}\n${line}`;
+				await writeLog(content, 'w');
+				if (durability === 'fsync') await syncDir(path.dirname(logPath));
+				started = true;
+				bytes = Buffer.byteLength(content, encoding) - Buffer.byteLength(line, encoding);
+			}
+
+			ops += operations.length;
+			bytes += Buffer.byteLength(line, encoding);
+		},
+
+		/**
+		 * Start over after the file was rewritten with everything the log held
+		 *
+		 * @param {string | Uint8Array} fileContent - New raw content of the file
+		 * @returns {Promise<void>}
+		 */
+		async reset(fileContent) {
+			base = hashOf(fileContent);
+			started = false;
+			ops = 0;
+			bytes = 0;
+			await fs.rm(logPath, { force: true });
+		},
+	};
+}
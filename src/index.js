@@ -1,19 +1,253 @@
-import { promises as fs } from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 
-import { getFileLock } from './helpers/file-lock.js';
+import { getFileLock, LockTimeoutError } from './helpers/file-lock.js';
+import { SDOValidationError } from './helpers/validation-error.js';
+import {
+	splitVersion,
+	withVersion,
+	runMigrations,
+	backupBeforeMigration,
+	listMigrationBackups,
+} from './helpers/migrations.js';
+import { trackChanges } from './helpers/change-tracker.js';
+import { createDebouncedTask } from './helpers/debounce.js';
+import { parsePath, formatPath, pathsOverlap, getAtPath } from './helpers/path.js';
+import { createCollection } from './helpers/collection.js';
+import { createQuery } from './helpers/query.js';
+import { parseIndexOptions, createIndexes } from './helpers/indexes.js';
+import { assertStoreNameFree, registerStore, unregisterStore, findStore, listStores } from './helpers/registry.js';
+import { createBackups } from './helpers/backups.js';
+import { createWriteAheadLog, toPointer } from './helpers/write-ahead-log.js';
+import { resolveFormat, replaceValues, reviveValues } from './helpers/formats.js';
+import { FileAdapter, MemoryAdapter } from './helpers/storage.js';
+import { createEncryption, isEncrypted } from './helpers/encryption.js';
 
 /**
- * @typedef {'string' | 'number' | 'boolean'} SchemaPropertyBaseType
+ * @typedef {import('./helpers/validation-error.js').ValidationIssue} ValidationIssue
+ */
+
+/**
+ * @typedef {'string' | 'number' | 'boolean' | 'integer' | 'date' | 'null' | 'any'} SchemaPropertyBaseType
  * @typedef {`${SchemaPropertyBaseType}${'?' | ''}`} SchemaPropertyType
- * @typedef {[SchemaPropertyType | SchemaDefinition]} ArraySchemaType
- * @typedef {{ [key: string]: SchemaPropertyType | SchemaDefinition | ArraySchemaType }} SchemaDefinition
+ * @typedef {string | number | boolean | null} LiteralValue
+ */
+
+/**
+ * @template {LiteralValue} [V=LiteralValue]
+ * @typedef {{ $sdo: 'enum'; values: V[] }} EnumSchema
+ */
+
+/**
+ * @template {LiteralValue} [V=LiteralValue]
+ * @typedef {{ $sdo: 'literal'; value: V }} LiteralSchema
+ */
+
+/**
+ * @template [O=unknown]
+ * @typedef {{ $sdo: 'union'; options: O[] }} UnionSchema
+ */
+
+/**
+ * @template [I=unknown]
+ * @typedef {{ $sdo: 'nullable'; inner: I }} NullableSchema
+ */
+
+/**
+ * @template {string} [K=string]
+ * @template [M=Record<string, unknown>]
+ * @typedef {{ $sdo: 'discriminated'; key: K; options: M }} DiscriminatedSchema
+ */
+
+/**
+ * @template [V=unknown]
+ * @typedef {{ $sdo: 'record'; value: V; keyPattern?: RegExp }} RecordSchema
+ */
+
+/**
+ * @typedef {'strip' | 'passthrough' | 'error'} UnknownKeysPolicy
+ */
+
+/**
+ * @template [Shape=unknown]
+ * @template {UnknownKeysPolicy} [U=UnknownKeysPolicy]
+ * @typedef {{ $sdo: 'object'; shape: Shape; unknownKeys?: U }} ObjectSchema - Without `unknownKeys`, the store's
+ * policy applies
+ */
+
+/**
+ * What happens to a reference when the item it points to is removed: `'cascade'` removes the referencing item
+ * too, `'restrict'` rejects the removal
+ * @typedef {'cascade' | 'restrict'} RefDeleteAction
+ */
+
+/**
+ * @typedef {{ $sdo: 'ref'; store: string; key: string; path: string; onDelete?: RefDeleteAction }} RefSchema
+ */
+
+/**
+ * @typedef {EnumSchema
+ * 	| LiteralSchema
+ * 	| UnionSchema
+ * 	| NullableSchema
+ * 	| DiscriminatedSchema
+ * 	| RecordSchema
+ * 	| ObjectSchema
+ * 	| RefSchema
+ * } SchemaNode
+ * @typedef {[SchemaPropertyType | SchemaDefinition | SchemaNode | FieldDescriptor]} ArraySchemaType
+ * @typedef {{ [key: string]: SchemaPropertyType | SchemaDefinition | ArraySchemaType | SchemaNode | FieldDescriptor }} SchemaDefinition
+ * @typedef {SchemaDefinition | SchemaPropertyType | ArraySchemaType | SchemaNode | FieldDescriptor} AnySchema
+ */
+
+/**
+ * Field descriptor: a schema with its own default value and constraints,
+ * e.g. `{ type: 'number', default: 10, min: 0, max: 100 }`.
+ * An object is read as a descriptor when it has a `type` key and every other key is one of the properties below,
+ * holding a value of that property's type; otherwise it is an object schema (e.g. `{ type: 'string', min: 'number' }`).
+ *
+ * @template [T=unknown]
+ * @typedef {Object} FieldDescriptor
+ * @property {T} type - Schema of the value
+ * @property {any} [default] - Value used when the field is missing
+ * @property {boolean} [optional] - Allow the field to be missing (`undefined`)
+ * @property {number} [min] - Minimum value (numbers)
+ * @property {number} [max] - Maximum value (numbers)
+ * @property {number} [minLength] - Minimum length (strings)
+ * @property {number} [maxLength] - Maximum length (strings)
+ * @property {RegExp} [pattern] - Pattern to match (strings)
+ * @property {number} [minItems] - Minimum number of items (arrays)
+ * @property {number} [maxItems] - Maximum number of items (arrays)
+ * @property {boolean} [unique] - Disallow duplicate items (arrays)
+ */
+
+/** @typedef {keyof FieldDescriptor} FieldDescriptorKey */
+
+/** @param {any} value */
+const isNumber = (value) => typeof value === 'number';
+/** @param {any} value */
+const isBoolean = (value) => typeof value === 'boolean';
+
+/**
+ * Check of the value of each field descriptor key. An object schema may have fields with the same names, whose
+ * values are schemas instead, e.g. `{ type: 'string', min: 'number' }`.
+ *
+ * @type {Readonly<Record<FieldDescriptorKey, (value: any) => boolean>>}
+ */
+const FIELD_DESCRIPTOR_KEYS = {
+	type: () => true,
+	default: () => true,
+	optional: isBoolean,
+	min: isNumber,
+	max: isNumber,
+	minLength: isNumber,
+	maxLength: isNumber,
+	pattern: (value) => value instanceof RegExp,
+	minItems: isNumber,
+	maxItems: isNumber,
+	unique: isBoolean,
+};
+
+/** Strict ISO 8601 date or date-time, e.g. `2024-05-01` or `2024-05-01T10:00:00.000Z` */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Check if a value is a special schema node created by `SDO.enum`, `SDO.literal`...
+ *
+ * @param {any} schema
+ * @returns {schema is SchemaNode}
+ */
+function isSchemaNode(schema) {
+	return typeof schema === 'object' && schema !== null && !Array.isArray(schema) && typeof schema.$sdo === 'string';
+}
+
+/**
+ * Check if a value is a field descriptor (`{ type, default?, min?, ... }`) rather than an object schema: only
+ * descriptor keys, each holding a value of its kind (e.g. a number for `min`, not a schema like `'number'`)
+ *
+ * @param {any} schema
+ * @returns {schema is FieldDescriptor}
+ */
+function isFieldDescriptor(schema) {
+	if (!isPlainObject(schema) || isSchemaNode(schema) || !('type' in schema)) return false;
+
+	const entries = Object.entries(schema);
+	return (
+		entries.length > 1 &&
+		entries.every(
+			([key, value]) =>
+				Object.prototype.hasOwnProperty.call(FIELD_DESCRIPTOR_KEYS, key) &&
+				FIELD_DESCRIPTOR_KEYS[/** @type {FieldDescriptorKey} */ (key)](value)
+		)
+	);
+}
+
+/**
+ * Deep clone a default value so stores never share mutable defaults
+ *
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+function cloneValue(value) {
+	if (value instanceof Date) return /** @type {T} */ (new Date(value.getTime()));
+	if (Array.isArray(value)) return /** @type {T} */ (value.map(cloneValue));
+	if (isPlainObject(value)) {
+		/** @type {Record<string, any>} */
+		const result = {};
+		for (const [key, item] of Object.entries(value)) result[key] = cloneValue(item);
+		return /** @type {T} */ (result);
+	}
+	return value;
+}
+
+/**
+ * Check if a value is a plain object (not an array, Date or other class instance)
+ *
+ * @param {any} value
+ * @returns {value is Record<string, any>}
+ */
+function isPlainObject(value) {
+	if (typeof value !== 'object' || value === null) return false;
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Deep equality for data values (primitives, Dates, arrays and plain objects)
+ *
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isEqualValue(a, b) {
+	if (Object.is(a, b)) return true;
+	if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+	if (Array.isArray(a) && Array.isArray(b)) {
+		return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+	}
+	if (isPlainObject(a) && isPlainObject(b)) {
+		const keys = Object.keys(a);
+		return keys.length === Object.keys(b).length && keys.every((key) => key in b && isEqualValue(a[key], b[key]));
+	}
+	return false;
+}
+
+/**
+ * Format a value for error messages
+ *
+ * @param {any} value
+ * @returns {string}
  */
+function describeValue(value) {
+	if (value instanceof Date) return `Date: ${isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()}`;
+	return `${value === null ? 'null' : typeof value}: ${JSON.stringify(value)}`;
+}
 
 /**
  * Create default value from schema
  *
- * @param {SchemaDefinition | SchemaPropertyType | ArraySchemaType} schema - Schema definition
+ * @param {AnySchema} schema - Schema definition
  * @returns {any} Default value based on schema
  */
 function createDefaultFromSchema(schema) {
@@ -22,6 +256,12 @@ function createDefaultFromSchema(schema) {
 		return [];
 	}
 
+	// Handle field descriptor
+	if (isFieldDescriptor(schema)) {
+		if ('default' in schema) return cloneValue(schema.default);
+		return schema.optional ? undefined : createDefaultFromSchema(/** @type {AnySchema} */ (schema.type));
+	}
+
 	// Handle primitive types
 	if (typeof schema === 'string') {
 		const isOptional = schema.endsWith('?');
@@ -35,9 +275,39 @@ function createDefaultFromSchema(schema) {
 			case 'string':
 				return '';
 			case 'number':
+			case 'integer':
 				return 0;
 			case 'boolean':
 				return false;
+			case 'date':
+				return new Date(0);
+			case 'null':
+			case 'any':
+				return null;
+		}
+	}
+
+	// Handle special schema nodes
+	if (isSchemaNode(schema)) {
+		switch (schema.$sdo) {
+			case 'enum':
+				return schema.values[0];
+			case 'literal':
+				return schema.value;
+			case 'union':
+				return createDefaultFromSchema(/** @type {AnySchema} */ (schema.options[0]));
+			case 'nullable':
+				return null;
+			case 'discriminated': {
+				const [tag, optionSchema] = Object.entries(schema.options)[0];
+				return { [schema.key]: tag, ...createDefaultFromSchema(/** @type {SchemaDefinition} */ (optionSchema)) };
+			}
+			case 'record':
+				return {};
+			case 'object':
+				return createDefaultFromSchema(/** @type {SchemaDefinition} */ (schema.shape));
+			case 'ref':
+				return null;
 		}
 	}
 
@@ -56,30 +326,127 @@ function createDefaultFromSchema(schema) {
 	return undefined;
 }
 
+/**
+ * Describe the type a schema expects, for validation issues
+ *
+ * @param {AnySchema} schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+	if (isArraySchema(schema)) return 'array';
+	if (isFieldDescriptor(schema)) return describeSchema(/** @type {AnySchema} */ (schema.type));
+
+	if (typeof schema === 'string') {
+		return schema.endsWith('?') ? `${schema.slice(0, -1)} | undefined` : schema;
+	}
+
+	if (isSchemaNode(schema)) {
+		switch (schema.$sdo) {
+			case 'enum':
+				return schema.values.map((value) => JSON.stringify(value)).join(' | ');
+			case 'literal':
+				return JSON.stringify(schema.value);
+			case 'union':
+				return schema.options.map((option) => describeSchema(/** @type {AnySchema} */ (option))).join(' | ');
+			case 'nullable':
+				return `${describeSchema(/** @type {AnySchema} */ (schema.inner))} | null`;
+			case 'ref':
+				return `reference to ${schema.store}.${schema.key} | null`;
+		}
+	}
+
+	return 'object';
+}
+
+/**
+ * Get the type name of a value, for validation issues
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function receivedType(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (value instanceof Date) return 'Date';
+	return typeof value;
+}
+
+/**
+ * @typedef {Object} ValidationContext
+ * @property {ValidationIssue[]} issues - Collected issues
+ * @property {UnknownKeysPolicy} unknownKeys - Policy for object keys not declared in the schema
+ * @property {'values' | 'keys'} [exact] - To find the union member data matches as it is: reject missing values
+ * instead of filling in defaults, and with `'keys'` unknown keys too instead of stripping them
+ */
+
 /**
  * Validate and coerce data according to schema
  *
  * @param {any} data - Input data to validate
- * @param {SchemaDefinition | SchemaPropertyType | ArraySchemaType} schema - Schema definition
- * @param {string} [path=''] - Current path for error messages
+ * @param {AnySchema} schema - Schema definition
+ * @param {{ context?: string; unknownKeys?: UnknownKeysPolicy; path?: string }} [options]
+ * - `context`: What is being validated, prefixed to the error message
+ * - `unknownKeys`: Default policy for undeclared object keys, `'strip'` by default
+ * - `path`: Where `data` sits in the document, for issue paths (root by default)
  * @returns {any} Validated and coerced data
- * @throws {Error} When validation fails
+ * @throws {SDOValidationError} When validation fails, listing every issue
+ */
+function validateAndCoerce(data, schema, { context, unknownKeys = 'strip', path = '' } = {}) {
+	/** @type {ValidationIssue[]} */
+	const issues = [];
+	const result = coerceValue(data, schema, path, { issues, unknownKeys });
+
+	if (issues.length > 0) {
+		throw new SDOValidationError(issues, context);
+	}
+
+	return result;
+}
+
+/**
+ * Recursively validate and coerce data, collecting issues instead of throwing
+ *
+ * @param {any} data - Input data to validate
+ * @param {AnySchema} schema - Schema definition
+ * @param {string} path - Current path for error messages
+ * @param {ValidationContext} ctx - Collected issues and options
+ * @returns {any} Validated and coerced data (the input as-is where it is invalid)
  */
-function validateAndCoerce(data, schema, path = '') {
+function coerceValue(data, schema, path, ctx) {
+	const { issues } = ctx;
+
+	/**
+	 * @param {string} message
+	 * @param {string} [expected]
+	 * @param {string} [issuePath]
+	 */
+	const fail = (message, expected = describeSchema(schema), issuePath = path) => {
+		issues.push({ path: issuePath, expected, received: receivedType(data), value: data, message });
+		return data;
+	};
+	const failMissing = () => fail(`Field '${path}' is required`);
+
 	// Handle array schema
 	if (isArraySchema(schema)) {
 		if (!Array.isArray(data)) {
-			throw new Error(`Field '${path}' must be an array, got ${typeof data}`);
+			return fail(`Field '${path}' must be an array, got ${typeof data}`);
 		}
 
 		const itemSchema = schema[0];
-		return data.map((item, index) => {
-			try {
-				return validateAndCoerce(item, itemSchema, `${path}[${index}]`);
-			} catch (err) {
-				throw new Error(`${/** @type {Error} */ (err).message}`);
-			}
-		});
+		return data.map((item, index) => coerceValue(item, itemSchema, `${path}[${index}]`, ctx));
+	}
+
+	// Handle field descriptor
+	if (isFieldDescriptor(schema)) {
+		const value = data === undefined && 'default' in schema && !ctx.exact ? cloneValue(schema.default) : data;
+		if (value === undefined && schema.optional) return undefined;
+
+		const issueCount = issues.length;
+		const result = coerceValue(value, /** @type {AnySchema} */ (schema.type), path, ctx);
+
+		// Only check constraints on values of the right type
+		if (issues.length === issueCount) checkConstraints(result, schema, path, ctx);
+		return result;
 	}
 
 	// Handle primitive types
@@ -87,36 +454,167 @@ function validateAndCoerce(data, schema, path = '') {
 		const isOptional = schema.endsWith('?');
 		const baseType = isOptional ? schema.slice(0, -1) : schema;
 
-		if (data === undefined || data === null) {
-			if (!isOptional) {
-				// Required field, use default
-				switch (baseType) {
-					case 'string':
-						return '';
-					case 'number':
-						return 0;
-					case 'boolean':
-						return false;
-				}
-			}
-			return undefined;
+		if (data === undefined || (data === null && baseType !== 'any')) {
+			// Required field, use default
+			if (isOptional) return undefined;
+			return ctx.exact ? failMissing() : createDefaultFromSchema(schema);
 		}
 
 		// Strict validation with clear error messages
 		switch (baseType) {
 			case 'string':
 				if (typeof data !== 'string') {
-					throw new Error(`Field '${path}' must be a string, got ${typeof data}: ${JSON.stringify(data)}`);
+					return fail(`Field '${path}' must be a string, got ${describeValue(data)}`);
 				}
 				return data;
 			case 'number':
 				if (typeof data !== 'number' || isNaN(data)) {
-					throw new Error(`Field '${path}' must be a number, got ${typeof data}: ${JSON.stringify(data)}`);
+					return fail(`Field '${path}' must be a number, got ${describeValue(data)}`);
+				}
+				return data;
+			case 'integer':
+				if (typeof data !== 'number' || !Number.isInteger(data)) {
+					return fail(`Field '${path}' must be an integer, got ${describeValue(data)}`);
 				}
 				return data;
 			case 'boolean':
 				if (typeof data !== 'boolean') {
-					throw new Error(`Field '${path}' must be a boolean, got ${typeof data}: ${JSON.stringify(data)}`);
+					return fail(`Field '${path}' must be a boolean, got ${describeValue(data)}`);
+				}
+				return data;
+			case 'date': {
+				// Stored as ISO string, loaded as Date
+				const date =
+					data instanceof Date
+						? data
+						: typeof data === 'string' && ISO_DATE_PATTERN.test(data)
+						? new Date(data)
+						: null;
+				if (!date || isNaN(date.getTime())) {
+					return fail(`Field '${path}' must be an ISO date string or Date, got ${describeValue(data)}`);
+				}
+				return date;
+			}
+			case 'null':
+				return fail(`Field '${path}' must be null, got ${describeValue(data)}`);
+			case 'any':
+				return data;
+		}
+	}
+
+	// Handle special schema nodes
+	if (isSchemaNode(schema)) {
+		switch (schema.$sdo) {
+			case 'enum': {
+				if (data === undefined) return ctx.exact ? failMissing() : createDefaultFromSchema(schema);
+				if (!schema.values.includes(data)) {
+					const allowed = schema.values.map((value) => JSON.stringify(value)).join(', ');
+					return fail(`Field '${path}' must be one of ${allowed}, got ${describeValue(data)}`);
+				}
+				return data;
+			}
+			case 'literal':
+				if (data === undefined) return ctx.exact ? failMissing() : schema.value;
+				if (data !== schema.value) {
+					return fail(`Field '${path}' must be ${JSON.stringify(schema.value)}, got ${describeValue(data)}`);
+				}
+				return data;
+			case 'union': {
+				// A member matching the data as it is wins over one matching once unknown keys are stripped, which
+				// wins over one matching once defaults are filled in: `{ b: 1 }` is `{ b: 'number' }`, not
+				// `{ a: 'string' }` without `b`. Otherwise the first matching member wins, so order them from most
+				// to least specific.
+				/** @type {ValidationContext['exact'][]} */
+				const passes = ctx.exact ? [] : ['keys', 'values'];
+				for (const exact of passes) {
+					for (const option of schema.options) {
+						/** @type {ValidationIssue[]} */
+						const branchIssues = [];
+						const exactCtx = { ...ctx, issues: branchIssues, exact };
+						const result = coerceValue(data, /** @type {AnySchema} */ (option), path, exactCtx);
+						if (branchIssues.length === 0) return result;
+					}
+				}
+
+				/** @type {string[]} */
+				const branchErrors = [];
+				for (const option of schema.options) {
+					/** @type {ValidationIssue[]} */
+					const branchIssues = [];
+					const result = coerceValue(data, /** @type {AnySchema} */ (option), path, { ...ctx, issues: branchIssues });
+					if (branchIssues.length === 0) return result;
+					branchErrors.push(branchIssues.map((issue) => issue.message).join(', '));
+				}
+				const details = branchErrors.map((message, index) => `(${index + 1}) ${message}`).join('; ');
+				return fail(`Field '${path}' does not match any union member: ${details}`);
+			}
+			case 'nullable':
+				if (data === undefined || data === null) return null;
+				return coerceValue(data, /** @type {AnySchema} */ (schema.inner), path, ctx);
+			case 'discriminated': {
+				if (!isPlainObject(data)) {
+					return fail(`Field '${path}' must be an object, got ${typeof data}`);
+				}
+				const tag = data[schema.key];
+				const tagPath = path ? `${path}.${schema.key}` : schema.key;
+				if (typeof tag !== 'string' || !Object.prototype.hasOwnProperty.call(schema.options, tag)) {
+					const tags = Object.keys(schema.options).map((value) => JSON.stringify(value));
+					issues.push({
+						path: tagPath,
+						expected: tags.join(' | '),
+						received: receivedType(tag),
+						value: tag,
+						message: `Field '${tagPath}' must be one of ${tags.join(', ')}, got ${describeValue(tag)}`,
+					});
+					return data;
+				}
+				const optionSchema = /** @type {SchemaDefinition} */ (schema.options[tag]);
+				const option = coerceObject(data, optionSchema, path, ctx, ctx.unknownKeys, [schema.key]);
+				return { [schema.key]: tag, ...option };
+			}
+			case 'record': {
+				if (!isPlainObject(data)) {
+					return fail(`Field '${path}' must be an object, got ${typeof data}`);
+				}
+				const { keyPattern } = schema;
+				const valueSchema = /** @type {AnySchema} */ (schema.value);
+				/** @type {Record<string, any>} */
+				const result = {};
+
+				for (const [key, value] of Object.entries(data)) {
+					const fieldPath = path ? `${path}.${key}` : key;
+					if (keyPattern) {
+						keyPattern.lastIndex = 0;
+						if (!keyPattern.test(key)) {
+							issues.push({
+								path: fieldPath,
+								expected: `key matching ${keyPattern}`,
+								received: 'string',
+								value: key,
+								message: `Key '${fieldPath}' must match ${keyPattern}`,
+							});
+						}
+					}
+					result[key] = coerceValue(value, valueSchema, fieldPath, ctx);
+				}
+
+				return result;
+			}
+			case 'object':
+				if (!data || typeof data !== 'object' || Array.isArray(data)) {
+					return fail(`Field '${path}' must be an object, got ${typeof data}`);
+				}
+				return coerceObject(
+					data,
+					/** @type {SchemaDefinition} */ (schema.shape),
+					path,
+					ctx,
+					schema.unknownKeys ?? ctx.unknownKeys
+				);
+			case 'ref':
+				if (data === undefined || data === null) return null;
+				if (typeof data !== 'string' && (typeof data !== 'number' || isNaN(data))) {
+					return fail(`Field '${path}' must be a reference (string or number key), got ${describeValue(data)}`);
 				}
 				return data;
 		}
@@ -125,22 +623,119 @@ function validateAndCoerce(data, schema, path = '') {
 	// Handle object schema
 	if (typeof schema === 'object' && schema !== null && !Array.isArray(schema)) {
 		if (!data || typeof data !== 'object' || Array.isArray(data)) {
-			throw new Error(`Field '${path}' must be an object, got ${typeof data}`);
+			return fail(`Field '${path}' must be an object, got ${typeof data}`);
 		}
 
-		const inputData = /** @type {Record<string, any>} */ (data);
-		/** @type {Record<string, any>} */
-		const result = {};
+		return coerceObject(data, schema, path, ctx, ctx.unknownKeys);
+	}
 
-		for (const [key, type] of Object.entries(schema)) {
-			const fieldPath = path ? `${path}.${key}` : key;
-			result[key] = validateAndCoerce(inputData[key], type, fieldPath);
+	return data;
+}
+
+/**
+ * Check the constraints of a field descriptor against an already type-checked value
+ *
+ * @param {any} value - Validated value
+ * @param {FieldDescriptor} descriptor - Field descriptor
+ * @param {string} path - Current path for error messages
+ * @param {ValidationContext} ctx - Collected issues and options
+ */
+function checkConstraints(value, descriptor, path, ctx) {
+	const { min, max, minLength, maxLength, pattern, minItems, maxItems, unique } = descriptor;
+
+	/**
+	 * @param {string} expected
+	 * @param {string} requirement
+	 */
+	const fail = (expected, requirement) => {
+		ctx.issues.push({
+			path,
+			expected,
+			received: receivedType(value),
+			value,
+			message: `Field '${path}' must ${requirement}, got ${describeValue(value)}`,
+		});
+	};
+
+	if (typeof value === 'number') {
+		if (min !== undefined && value < min) fail(`number >= ${min}`, `be at least ${min}`);
+		if (max !== undefined && value > max) fail(`number <= ${max}`, `be at most ${max}`);
+	}
+
+	if (typeof value === 'string') {
+		if (minLength !== undefined && value.length < minLength) {
+			fail(`string with length >= ${minLength}`, `have at least ${minLength} characters`);
 		}
+		if (maxLength !== undefined && value.length > maxLength) {
+			fail(`string with length <= ${maxLength}`, `have at most ${maxLength} characters`);
+		}
+		if (pattern) {
+			pattern.lastIndex = 0;
+			if (!pattern.test(value)) fail(`string matching ${pattern}`, `match ${pattern}`);
+		}
+	}
 
-		return result;
+	if (Array.isArray(value)) {
+		if (minItems !== undefined && value.length < minItems) {
+			fail(`array with >= ${minItems} items`, `have at least ${minItems} items`);
+		}
+		if (maxItems !== undefined && value.length > maxItems) {
+			fail(`array with <= ${maxItems} items`, `have at most ${maxItems} items`);
+		}
+		if (unique) {
+			const seen = new Set();
+			const duplicateIndex = value.findIndex((item) => {
+				const key =
+					item instanceof Date ? item.getTime() : typeof item === 'object' && item !== null ? JSON.stringify(item) : item;
+				if (seen.has(key)) return true;
+				seen.add(key);
+				return false;
+			});
+			if (duplicateIndex !== -1) fail('array with unique items', `not contain duplicates (index ${duplicateIndex})`);
+		}
 	}
+}
 
-	return data;
+/**
+ * Validate and coerce the declared keys of an object, then apply the unknown keys policy to the rest
+ *
+ * @param {Record<string, any>} data - Input object
+ * @param {SchemaDefinition} shape - Declared keys
+ * @param {string} path - Current path for error messages
+ * @param {ValidationContext} ctx - Collected issues and options
+ * @param {UnknownKeysPolicy} unknownKeys - Policy for keys not declared in `shape`
+ * @param {string[]} [reservedKeys] - Extra keys that count as declared (e.g. a discriminator tag)
+ * @returns {Record<string, any>}
+ */
+function coerceObject(data, shape, path, ctx, unknownKeys, reservedKeys = []) {
+	/** @type {Record<string, any>} */
+	const result = {};
+
+	for (const [key, type] of Object.entries(shape)) {
+		const fieldPath = path ? `${path}.${key}` : key;
+		result[key] = coerceValue(data[key], type, fieldPath, ctx);
+	}
+
+	if (unknownKeys === 'strip' && ctx.exact !== 'keys') return result;
+
+	for (const [key, value] of Object.entries(data)) {
+		if (Object.prototype.hasOwnProperty.call(shape, key) || reservedKeys.includes(key)) continue;
+
+		if (unknownKeys === 'passthrough') {
+			result[key] = value;
+		} else {
+			const fieldPath = path ? `${path}.${key}` : key;
+			ctx.issues.push({
+				path: fieldPath,
+				expected: 'no unknown key',
+				received: receivedType(value),
+				value,
+				message: `Field '${fieldPath}' is not declared in schema`,
+			});
+		}
+	}
+
+	return result;
 }
 
 /**
@@ -151,231 +746,2214 @@ function validateAndCoerce(data, schema, path = '') {
  * @throws {TypeError} When the schema is invalid
  */
 function isArraySchema(type) {
-	const len = type.length;
+	if (!Array.isArray(type)) return false;
+	if (type.length === 1) return true;
+	throw new TypeError('Invalid array schema, required tuple length 1 declare schema type');
+}
+
+/**
+ * Find the schema of the deepest ancestor of a path that can be validated on its own. Only descends into
+ * object fields and array items; records, unions, field descriptors etc. are validated as a whole so their
+ * own rules (key patterns, branches, constraints) still apply.
+ *
+ * @param {AnySchema} schema - Root schema
+ * @param {import('./helpers/path.js').PathSegments} segments - Path to resolve
+ * @returns {{ schema: AnySchema; depth: number }} Schema of the first `depth` segments
+ */
+function resolveSchemaPath(schema, segments) {
+	let current = schema;
+	let depth = 0;
 
-	if (Array.isArray(type))
-		if (len === 1) return true;
-		else throw new TypeError('Invalid array schema, required tuple length 1 declare schema type');
+	for (const segment of segments) {
+		// A value that has children is never null
+		while (isSchemaNode(current) && current.$sdo === 'nullable') current = /** @type {AnySchema} */ (current.inner);
 
-	return false;
+		/** @type {AnySchema | undefined} */
+		let next;
+		if (isArraySchema(current)) {
+			if (typeof segment === 'number') next = current[0];
+		} else if (isSchemaNode(current)) {
+			if (current.$sdo === 'object' && Object.prototype.hasOwnProperty.call(current.shape, segment)) {
+				next = /** @type {Record<string, AnySchema>} */ (current.shape)[segment];
+			}
+		} else if (isPlainObject(current) && !isFieldDescriptor(current)) {
+			if (Object.prototype.hasOwnProperty.call(current, segment)) next = current[segment];
+		}
+
+		if (next === undefined) break;
+		current = next;
+		depth++;
+	}
+
+	return { schema: current, depth };
 }
 
 /**
- * Read and parse JSON file safely
+ * Base type of a field schema for queries: the primitive type name without `?`, or `null` for other schemas
  *
- * @param {string} absPath - Absolute file path
- * @param {BufferEncoding} encoding - File encoding
- * @param {any} defaultValue - Fallback value if parsing fails
- * @returns Parsed data
+ * @param {AnySchema} schema
+ * @returns {string | null}
  */
-async function readAndParseJSON(absPath, encoding, defaultValue) {
-	const raw = /** @type {string} */ (await fs.readFile(absPath, encoding));
+function primitiveTypeOf(schema) {
+	const current = unwrapSchema(schema);
+	return typeof current === 'string' ? current.replace(/\?$/, '') : null;
+}
 
-	try {
-		return raw.trim() ? JSON.parse(raw) : defaultValue;
-	} catch (err) {
-		console.error(`> [stored-data-object.from] Failed to parse JSON: ${absPath}`);
-		throw new Error(`Invalid JSON in file: ${absPath}. ${/** @type {Error} */ (err).message}`);
+/**
+ * Strip field descriptors and nullable wrappers off a schema
+ *
+ * @param {AnySchema} schema
+ * @returns {AnySchema}
+ */
+function unwrapSchema(schema) {
+	let current = schema;
+	for (;;) {
+		if (isFieldDescriptor(current)) current = /** @type {AnySchema} */ (current.type);
+		else if (isSchemaNode(current) && current.$sdo === 'nullable') current = /** @type {AnySchema} */ (current.inner);
+		else return current;
 	}
 }
 
 /**
- * Update data reference safely maintaining object references
+ * List the reference schemas declared anywhere in a schema
  *
- * @param {any} data - Current data reference
- * @param {any} newValidatedData - New data to update to
+ * @param {AnySchema} schema
+ * @param {RefSchema[]} [found] - Accumulator
+ * @returns {RefSchema[]}
  */
-function updateDataRef(data, newValidatedData) {
-	if (typeof data !== 'object' || data === null) {
-		return; // Cannot update non-object references
-	}
+function collectRefSchemas(schema, found = []) {
+	const current = unwrapSchema(schema);
 
-	const isDataObject = !Array.isArray(data);
-	const isNewDataObject =
-		typeof newValidatedData === 'object' && newValidatedData !== null && !Array.isArray(newValidatedData);
+	if (isArraySchema(current)) return collectRefSchemas(current[0], found);
+
+	if (isSchemaNode(current)) {
+		switch (current.$sdo) {
+			case 'ref':
+				found.push(current);
+				break;
+			case 'union':
+				for (const option of current.options) collectRefSchemas(/** @type {AnySchema} */ (option), found);
+				break;
+			case 'discriminated':
+				for (const option of Object.values(current.options)) {
+					collectRefSchemas(/** @type {SchemaDefinition} */ (option), found);
+				}
+				break;
+			case 'record':
+				collectRefSchemas(/** @type {AnySchema} */ (current.value), found);
+				break;
+			case 'object':
+				collectRefSchemas(/** @type {SchemaDefinition} */ (current.shape), found);
+				break;
+		}
+		return found;
+	}
 
-	if (isDataObject && isNewDataObject) updateObject(data, newValidatedData);
+	if (isPlainObject(current)) {
+		for (const type of Object.values(current)) collectRefSchemas(type, found);
+	}
+	return found;
 }
 
 /**
- * Recursively update existing properties to maintain references
+ * Find the non-null references held by data. References inside unions are not followed, since the
+ * matching member is not known without validating again.
  *
- * @param {any} target - Target object
- * @param {any} source - Source object
+ * @param {any} value - Validated data
+ * @param {AnySchema} schema - Schema of `value`
+ * @param {import('./helpers/path.js').PathSegments} [path] - Path of `value`
+ * @param {import('./helpers/registry.js').Reference[]} [found] - Accumulator
+ * @returns {import('./helpers/registry.js').Reference[]}
  */
-function updateObject(target, source) {
-	// Remove properties that don't exist in source
-	for (const key of Object.keys(target)) {
-		if (!(key in source)) {
-			delete target[key];
+function collectReferences(value, schema, path = [], found = []) {
+	if (value === undefined || value === null) return found;
+	const current = unwrapSchema(schema);
+
+	if (isArraySchema(current)) {
+		if (Array.isArray(value)) {
+			value.forEach((item, index) => collectReferences(item, current[0], [...path, index], found));
 		}
+		return found;
 	}
 
-	// Update or add properties from source
-	for (const [key, value] of Object.entries(source)) {
-		const isTargetObject = target[key] && typeof target[key] === 'object' && !Array.isArray(target[key]);
-		const isSourceObject = typeof value === 'object' && !Array.isArray(value);
-
-		if (isTargetObject && isSourceObject) {
-			// Recursively update nested objects to preserve references
-			updateObject(target[key], value);
-		} else if (Array.isArray(target[key]) && Array.isArray(value)) {
-			// Handle arrays by clearing and repopulating
-			target[key].length = 0;
-			target[key].push(...value);
-		} else {
-			// Direct assignment for primitives or new objects
-			target[key] = value;
+	if (isSchemaNode(current)) {
+		switch (current.$sdo) {
+			case 'ref':
+				found.push({ segments: path, ref: current, value });
+				break;
+			case 'discriminated': {
+				const option = isPlainObject(value) ? current.options[value[current.key]] : undefined;
+				if (option) collectReferences(value, /** @type {SchemaDefinition} */ (option), path, found);
+				break;
+			}
+			case 'record':
+				if (isPlainObject(value)) {
+					for (const [key, item] of Object.entries(value)) {
+						collectReferences(item, /** @type {AnySchema} */ (current.value), [...path, key], found);
+					}
+				}
+				break;
+			case 'object':
+				collectReferences(value, /** @type {SchemaDefinition} */ (current.shape), path, found);
+				break;
 		}
+		return found;
+	}
+
+	if (isPlainObject(current) && isPlainObject(value)) {
+		for (const [key, type] of Object.entries(current)) collectReferences(value[key], type, [...path, key], found);
 	}
+	return found;
 }
 
 /**
- * Create schema definition for reuse with type safety
+ * Keys an object schema declares, with the schema of each in declaration order, and the schema of the other keys
+ * (record values)
  *
- * @template {SchemaDefinition} T
- * @param {T} schemaDef - Schema definition object
- * @returns {T} The same schema definition (for type inference)
+ * @param {any} value - Object matching the schema
+ * @param {AnySchema} schema - Unwrapped schema
+ * @returns {{ shape: Record<string, AnySchema>; other?: AnySchema }}
  */
-const defineSchema = (schemaDef) => schemaDef;
+function objectLayoutOf(value, schema) {
+	if (isSchemaNode(schema)) {
+		switch (schema.$sdo) {
+			case 'object':
+				return { shape: /** @type {Record<string, AnySchema>} */ (schema.shape) };
+			case 'discriminated': {
+				const option = schema.options[value[schema.key]];
+				return { shape: option ? { [schema.key]: 'string', .../** @type {SchemaDefinition} */ (option) } : {} };
+			}
+			case 'record':
+				return { shape: {}, other: /** @type {AnySchema} */ (schema.value) };
+		}
+		return { shape: {} };
+	}
 
-/**
+	if (isPlainObject(schema) && !isFieldDescriptor(schema)) return { shape: /** @type {SchemaDefinition} */ (schema) };
+	return { shape: {} };
+}
+
+/**
+ * Copy data with its object keys in a stable order for writing: alphabetical with `order: true`, in schema
+ * declaration order with `'schema'`. Keys the schema doesn't declare (records, passthrough objects, unions) follow,
+ * alphabetically.
+ *
+ * @param {any} value
+ * @param {AnySchema | undefined} schema - Schema of `value`, only used with `'schema'`
+ * @param {true | 'schema'} order
+ * @returns {any}
+ */
+function orderKeys(value, schema, order) {
+	const current = order === 'schema' && schema !== undefined ? unwrapSchema(schema) : undefined;
+
+	if (Array.isArray(value)) {
+		const itemSchema = current !== undefined && isArraySchema(current) ? current[0] : undefined;
+		return value.map((item) => orderKeys(item, itemSchema, order));
+	}
+	if (!isPlainObject(value)) return value;
+
+	const { shape, other } = current !== undefined ? objectLayoutOf(value, current) : { shape: {}, other: undefined };
+	const declared = Object.keys(shape).filter((key) => key in value);
+	const rest = Object.keys(value)
+		.filter((key) => !Object.prototype.hasOwnProperty.call(shape, key))
+		.sort();
+
+	/** @type {Record<string, any>} */
+	const result = {};
+	for (const key of declared) result[key] = orderKeys(value[key], shape[key], order);
+	for (const key of rest) result[key] = orderKeys(value[key], other, order);
+	return result;
+}
+
+/**
+ * Find the reference a populate path points to: a reference field, or an array of references
+ *
+ * @param {AnySchema} schema - Schema of the value being populated
+ * @param {import('./helpers/path.js').PathSegments} segments - Path relative to the value, `'*'` for every item
+ * @returns {{ ref: RefSchema; many: boolean } | undefined}
+ */
+function resolveRefPath(schema, segments) {
+	let current = unwrapSchema(schema);
+
+	for (const segment of segments) {
+		/** @type {AnySchema | undefined} */
+		let next;
+		if (isArraySchema(current)) {
+			if (typeof segment === 'number' || segment === '*') next = current[0];
+		} else {
+			const shape = isSchemaNode(current) ? (current.$sdo === 'object' ? current.shape : undefined) : current;
+			if (isPlainObject(shape) && Object.prototype.hasOwnProperty.call(shape, segment)) next = shape[segment];
+		}
+
+		if (next === undefined) return undefined;
+		current = unwrapSchema(next);
+	}
+
+	if (isSchemaNode(current) && current.$sdo === 'ref') return { ref: current, many: false };
+	if (isArraySchema(current)) {
+		const item = unwrapSchema(current[0]);
+		if (isSchemaNode(item) && item.$sdo === 'ref') return { ref: item, many: true };
+	}
+	return undefined;
+}
+
+/**
+ * Keys of the items a reference can point to, in some data of the referenced store
+ *
+ * @param {any} root - Data of the referenced store
+ * @param {RefSchema} ref
+ * @returns {Set<any>}
+ */
+function referencedKeys(root, ref) {
+	const items = getAtPath(root, parsePath(ref.path));
+	return new Set(Array.isArray(items) ? items.map((item) => item?.[ref.key]) : []);
+}
+
+/**
+ * Remove what holds each reference from data: the nearest array item around it, or the reference itself
+ * (set to `null`) when it is not inside an array
+ *
+ * @param {any} root - Data to change
+ * @param {import('./helpers/registry.js').Reference[]} references - References found in `root`
+ */
+function removeReferencing(root, references) {
+	/** @type {Map<any[], Set<number>>} */
+	const removals = new Map();
+
+	for (const { segments } of references) {
+		let depth = segments.length - 1;
+		while (depth >= 0 && typeof segments[depth] !== 'number') depth--;
+
+		if (depth === -1) {
+			getAtPath(root, segments.slice(0, -1))[segments[segments.length - 1]] = null;
+			continue;
+		}
+
+		const array = getAtPath(root, segments.slice(0, depth));
+		const positions = removals.get(array) ?? new Set();
+		positions.add(/** @type {number} */ (segments[depth]));
+		removals.set(array, positions);
+	}
+
+	for (const [array, positions] of removals) {
+		// From the end, so the remaining positions stay valid
+		for (const position of [...positions].sort((a, b) => b - a)) array.splice(position, 1);
+	}
+}
+
+/**
+ * Replace the values at a path in place, following every item for `'*'` segments
+ *
+ * @param {any} value - Value to change (a copy of the data)
+ * @param {import('./helpers/path.js').PathSegments} segments
+ * @param {(found: any) => any} replace
+ * @returns {any} The value, replaced itself when `segments` is empty
+ */
+function replaceAtPath(value, segments, replace) {
+	if (segments.length === 0) return replace(value);
+	if (typeof value !== 'object' || value === null) return value;
+
+	const [segment, ...rest] = segments;
+	if (segment === '*') {
+		if (Array.isArray(value)) value.forEach((item, index) => (value[index] = replaceAtPath(item, rest, replace)));
+	} else if (segment in value) {
+		value[segment] = replaceAtPath(value[segment], rest, replace);
+	}
+	return value;
+}
+
+/** Storage of stores created without `options.storage` */
+const defaultStorage = new FileAdapter();
+
+/**
+ * Read the raw content of a file: text, or bytes for binary formats
+ *
+ * @param {import('./helpers/storage.js').StorageAdapter} storage - Storage holding the file
+ * @param {string} absPath - Absolute file path
+ * @param {boolean} binary - Read bytes, without decoding
+ * @param {BufferEncoding} encoding - File encoding
+ * @returns {Promise<string | Uint8Array>}
+ */
+async function readContent(storage, absPath, binary, encoding) {
+	return storage.read(absPath, { binary, encoding });
+}
+
+/**
+ * Compare two raw file contents
+ *
+ * @param {string | Uint8Array | undefined} a
+ * @param {string | Uint8Array | undefined} b
+ * @returns {boolean}
+ */
+function isSameContent(a, b) {
+	if (typeof a === 'string' || typeof b === 'string' || !a || !b) return a === b;
+	return Buffer.from(a.buffer, a.byteOffset, a.byteLength).equals(b);
+}
+
+/**
+ * Read and parse a file safely. Text is parsed with LF line endings.
+ *
+ * @param {import('./helpers/storage.js').StorageAdapter} storage - Storage holding the file
+ * @param {string} absPath - Absolute file path
+ * @param {import('./helpers/formats.js').FormatAdapter} format - File format
+ * @param {{
+ * 	encoding: BufferEncoding;
+ * 	reviver?: (this: any, key: string, value: any) => any;
+ * 	cipher?: import('./helpers/encryption.js').Cipher | null;
+ * }} options
+ * - `reviver`: Applied to the parsed content, like for `JSON.parse`
+ * - `cipher`: Decrypts the content before parsing
+ * @param {any} defaultValue - Value of an empty file
+ * @returns {Promise<{ raw: string | Uint8Array; parsed: any }>} Raw content and parsed data
+ * @throws {Error} When the content is invalid, or can't be decrypted
+ */
+async function readAndParse(storage, absPath, format, { encoding, reviver, cipher }, defaultValue) {
+	const raw = await readContent(storage, absPath, Boolean(format.binary) && !cipher, encoding);
+	const isEmpty = typeof raw === 'string' ? !raw.trim() : raw.length === 0;
+	const formatName = format.name ?? 'content';
+
+	let content = raw;
+	if (cipher && !isEmpty) {
+		// Thrown as is: a wrong key or tampering is not a parse error
+		const decrypted = cipher.decrypt(/** @type {string} */ (raw), absPath);
+		content = format.binary ? decrypted : decrypted.toString(encoding);
+	}
+
+	try {
+		if (isEmpty) return { raw, parsed: defaultValue };
+		const parsed = format.parse(typeof content === 'string' ? content.replace(/\r\n/g, '\n') : content);
+		return { raw, parsed: reviver ? reviveValues(parsed, reviver) : parsed };
+	} catch (err) {
+		console.error(`> [stored-data-object.from] Failed to parse ${formatName}: ${absPath}`);
+		throw new Error(`Invalid ${formatName} in file: ${absPath}. ${/** @type {Error} */ (err).message}`);
+	}
+}
+
+/**
+ * List the JSON Patch operations turning `prev` into `next`. Array changes are narrowed to the part between
+ * the unchanged start and end, so inserting or removing one item doesn't rewrite the items after it.
+ * Object keys holding `undefined` count as missing, like in JSON.
+ *
+ * @param {any} prev
+ * @param {any} next
+ * @param {import('./helpers/path.js').PathSegments} [path] - Path of both values
+ * @param {import('./helpers/write-ahead-log.js').Operation[]} [ops] - Accumulator
+ * @returns {import('./helpers/write-ahead-log.js').Operation[]}
+ */
+function diffValues(prev, next, path = [], ops = []) {
+	if (isEqualValue(prev, next)) return ops;
+
+	if (isPlainObject(prev) && isPlainObject(next)) {
+		for (const key of Object.keys(prev)) {
+			if (prev[key] !== undefined && next[key] === undefined) {
+				ops.push({ op: 'remove', path: toPointer([...path, key]) });
+			}
+		}
+		for (const [key, value] of Object.entries(next)) {
+			if (value === undefined) continue;
+			if (prev[key] === undefined) ops.push({ op: 'add', path: toPointer([...path, key]), value });
+			else diffValues(prev[key], value, [...path, key], ops);
+		}
+		return ops;
+	}
+
+	if (Array.isArray(prev) && Array.isArray(next)) {
+		let start = 0;
+		while (start < prev.length && start < next.length && isEqualValue(prev[start], next[start])) start++;
+
+		let prevEnd = prev.length;
+		let nextEnd = next.length;
+		while (prevEnd > start && nextEnd > start && isEqualValue(prev[prevEnd - 1], next[nextEnd - 1])) {
+			prevEnd--;
+			nextEnd--;
+		}
+
+		const common = Math.min(prevEnd, nextEnd) - start;
+		for (let index = start; index < start + common; index++) {
+			diffValues(prev[index], next[index], [...path, index], ops);
+		}
+		// Remove from the end, so the positions of the remaining items stay valid
+		for (let index = prevEnd - 1; index >= start + common; index--) {
+			ops.push({ op: 'remove', path: toPointer([...path, index]) });
+		}
+		for (let index = start + common; index < nextEnd; index++) {
+			ops.push({ op: 'add', path: toPointer([...path, index]), value: next[index] });
+		}
+		return ops;
+	}
+
+	ops.push({ op: 'replace', path: toPointer(path), value: next });
+	return ops;
+}
+
+/**
+ * Called with the path of each property whose value actually changed. `spliceStart` is set for an array whose
+ * length changed: its items from there on were added, removed or moved.
+ * @typedef {(path: import('./helpers/path.js').PathSegments, spliceStart?: number) => void} DataChangeListener
+ */
+
+/**
+ * Field identifying the items of the array at a path, to follow items that moved or changed
+ * @typedef {(path: import('./helpers/path.js').PathSegments) => string} ItemKeyResolver
+ */
+
+/** @type {ItemKeyResolver} */
+const defaultItemKey = () => 'id';
+
+/**
+ * Update data reference safely maintaining object references
+ *
+ * @param {any} data - Current data reference
+ * @param {any} newValidatedData - New data to update to
+ * @param {DataChangeListener} [onChange]
+ * @param {ItemKeyResolver} [itemKeyOf] - Key of the items of each array, `id` by default
+ * @returns {any} `data` updated in place, or `newValidatedData` when `data` can't be (a primitive, or an object
+ * replaced by an array and vice versa)
+ */
+function updateDataRef(data, newValidatedData, onChange, itemKeyOf = defaultItemKey) {
+	if (isPlainObject(data) && isPlainObject(newValidatedData)) {
+		updateObject(data, newValidatedData, onChange, [], itemKeyOf);
+		return data;
+	}
+	if (Array.isArray(data) && Array.isArray(newValidatedData)) {
+		updateArray(data, newValidatedData, onChange, [], itemKeyOf);
+		return data;
+	}
+
+	if (onChange && !isEqualValue(data, newValidatedData)) onChange([]);
+	return newValidatedData;
+}
+
+/**
+ * Update one property or item, recursing into objects and arrays to preserve their references
+ *
+ * @param {any} target - Object or array holding the value
+ * @param {string | number} key
+ * @param {any} value - New value
+ * @param {DataChangeListener | undefined} onChange - Called for each changed property
+ * @param {import('./helpers/path.js').PathSegments} path - Path of the value
+ * @param {ItemKeyResolver} itemKeyOf - Key of the items of each array
+ */
+function updateEntry(target, key, value, onChange, path, itemKeyOf) {
+	const current = target[key];
+	if (isPlainObject(current) && isPlainObject(value)) return updateObject(current, value, onChange, path, itemKeyOf);
+	if (Array.isArray(current) && Array.isArray(value)) return updateArray(current, value, onChange, path, itemKeyOf);
+
+	if (onChange && (!(key in target) || !isEqualValue(current, value))) onChange(path);
+	// Direct assignment for primitives, dates or new objects
+	target[key] = value;
+}
+
+/**
+ * Recursively update existing properties to maintain references
+ *
+ * @param {any} target - Target object
+ * @param {any} source - Source object
+ * @param {DataChangeListener} [onChange] - Called for each changed property
+ * @param {import('./helpers/path.js').PathSegments} [path] - Path of `target`
+ * @param {ItemKeyResolver} [itemKeyOf] - Key of the items of each array
+ */
+function updateObject(target, source, onChange, path = [], itemKeyOf = defaultItemKey) {
+	// Remove properties that don't exist in source
+	for (const key of Object.keys(target)) {
+		if (!(key in source)) {
+			delete target[key];
+			onChange?.([...path, key]);
+		}
+	}
+
+	// Update or add properties from source
+	for (const [key, value] of Object.entries(source)) {
+		updateEntry(target, key, value, onChange, [...path, key], itemKeyOf);
+	}
+}
+
+/**
+ * Key of an array item, to follow items that moved
+ *
+ * @param {any} item
+ * @param {string} key - Field holding the key
+ * @returns {string | number | undefined}
+ */
+function itemIdOf(item, key) {
+	if (!isPlainObject(item)) return undefined;
+	const id = item[key];
+	return typeof id === 'string' || typeof id === 'number' ? id : undefined;
+}
+
+/**
+ * Update an array in place. Items unchanged at both ends stay as they are. In between, an item with a key
+ * (`itemKeyOf`, `id` by default) keeps the object of the item with the same key. When the length didn't change,
+ * an item without a key keeps the object at its position, if that one has no key either: items can't be told apart
+ * then, so after `[a, b]` becomes `[b, c]`, the object of `a` holds `b`. Other items are replaced.
+ *
+ * @param {any[]} target - Target array
+ * @param {any[]} source - Source array
+ * @param {DataChangeListener} [onChange] - Called for each changed item, or once for the array when its length
+ * changed (every later item moved)
+ * @param {import('./helpers/path.js').PathSegments} [path] - Path of `target`
+ * @param {ItemKeyResolver} [itemKeyOf] - Key of the items of each array
+ */
+function updateArray(target, source, onChange, path = [], itemKeyOf = defaultItemKey) {
+	let start = 0;
+	while (start < target.length && start < source.length && isEqualValue(target[start], source[start])) start++;
+	let end = 0;
+	while (
+		end < target.length - start &&
+		end < source.length - start &&
+		isEqualValue(target[target.length - 1 - end], source[source.length - 1 - end])
+	) {
+		end++;
+	}
+
+	const removed = target.slice(start, target.length - end);
+	const added = source.slice(start, source.length - end);
+	if (removed.length === 0 && added.length === 0) return;
+
+	const sameLength = removed.length === added.length;
+	const onItemChange = sameLength ? onChange : undefined;
+	const key = itemKeyOf(path);
+
+	/** @type {Map<string | number, any>} */
+	const removedById = new Map();
+	for (const item of removed) {
+		const id = itemIdOf(item, key);
+		if (id !== undefined && !removedById.has(id)) removedById.set(id, item);
+	}
+
+	const items = added.map((value, offset) => {
+		const itemPath = [...path, start + offset];
+		const id = itemIdOf(value, key);
+		/** @type {any} */
+		let previous;
+		if (id !== undefined) {
+			previous = removedById.get(id);
+			removedById.delete(id);
+		} else if (sameLength && itemIdOf(removed[offset], key) === undefined) {
+			previous = removed[offset];
+		}
+
+		if (previous === undefined) {
+			onItemChange?.(itemPath);
+			return value;
+		}
+
+		// A moved item is reported as a whole, one in place for what changed inside it. Updating it through
+		// a holder keeps the references of the objects and arrays inside it too.
+		const moved = previous !== removed[offset];
+		if (moved) onItemChange?.(itemPath);
+		const holder = [previous];
+		updateEntry(holder, 0, value, moved ? undefined : onItemChange, itemPath, itemKeyOf);
+		return holder[0];
+	});
+
+	target.splice(start, removed.length, ...items);
+	if (!sameLength) onChange?.(path, start);
+}
+
+/**
+ * Create schema definition for reuse with type safety
+ *
+ * @example
+ * SDO.schema({ name: 'string' }); // an object
+ * SDO.schema([{ id: 'integer', name: 'string' }]); // an array of objects
+ *
+ * @template {AnySchema} T
+ * @param {T} schemaDef - Schema definition: an object schema, or any other schema for the root value
+ * @returns {T} The same schema definition (for type inference)
+ */
+const defineSchema = (schemaDef) => schemaDef;
+
+/**
+ * Create an enum schema, the value must be one of the given values.
+ * Defaults to the first value.
+ *
+ * @template {LiteralValue} V
+ * @param {...V} values - Allowed values
+ * @returns {EnumSchema<V>}
+ * @throws {TypeError} When no values are given
+ */
+function enumSchema(...values) {
+	if (values.length === 0) {
+		throw new TypeError('Invalid enum schema, required at least 1 value');
+	}
+	return { $sdo: 'enum', values };
+}
+
+/**
+ * Create a literal schema, the value must be exactly the given value.
+ * Defaults to that value.
+ *
+ * @template {LiteralValue} V
+ * @param {V} value - The only allowed value
+ * @returns {LiteralSchema<V>}
+ */
+function literalSchema(value) {
+	return { $sdo: 'literal', value };
+}
+
+/**
+ * Create a union schema, the value must match at least one of the given schemas.
+ * An option matching the value as it is wins, then one matching once unknown keys are stripped, then one matching
+ * once defaults are filled in; among options matching the same way, the first wins. Defaults to the default of
+ * the first option.
+ *
+ * @template {AnySchema[]} O
+ * @param {O} options - Member schemas
+ * @returns {UnionSchema<O[number]>}
+ * @throws {TypeError} When no options are given
+ */
+function unionSchema(...options) {
+	if (options.length === 0) {
+		throw new TypeError('Invalid union schema, required at least 1 option');
+	}
+	return { $sdo: 'union', options };
+}
+
+/**
+ * Allow `null` in addition to the given schema. Defaults to `null`.
+ *
+ * @template {AnySchema} I
+ * @param {I} inner - Schema of the non-null value
+ * @returns {NullableSchema<I>}
+ */
+function nullableSchema(inner) {
+	return { $sdo: 'nullable', inner };
+}
+
+/**
+ * Create a discriminated union of object schemas, selected by the value of a tag field.
+ * Defaults to the first option.
+ *
+ * @example
+ * SDO.discriminated('type', {
+ * 	text: { body: 'string' },
+ * 	image: { url: 'string', width: 'number' },
+ * });
+ * // { type: 'text', body: string } | { type: 'image', url: string, width: number }
+ *
+ * @template {string} K
+ * @template {Record<string, SchemaDefinition>} M
+ * @param {K} key - Name of the tag field
+ * @param {M} options - Object schema for each tag value
+ * @returns {DiscriminatedSchema<K, M>}
+ * @throws {TypeError} When no options are given
+ */
+function discriminatedSchema(key, options) {
+	if (Object.keys(options).length === 0) {
+		throw new TypeError('Invalid discriminated schema, required at least 1 option');
+	}
+	return { $sdo: 'discriminated', key, options };
+}
+
+/**
+ * Create a record schema: an object with dynamic keys where every value matches the same schema.
+ * Defaults to `{}`.
+ *
+ * @example
+ * SDO.schema({ usersById: SDO.record({ name: 'string' }, /^u-\d+$/) });
+ * // { usersById: Record<string, { name: string }> }
+ *
+ * @template {AnySchema} V
+ * @param {V} valueSchema - Schema of each value
+ * @param {RegExp} [keyPattern] - Pattern every key must match
+ * @returns {RecordSchema<V>}
+ */
+function recordSchema(valueSchema, keyPattern) {
+	return keyPattern ? { $sdo: 'record', value: valueSchema, keyPattern } : { $sdo: 'record', value: valueSchema };
+}
+
+/**
+ * Wrap an object schema to choose how keys not declared in it are handled.
+ * Overrides the store-wide `unknownKeys` option for this object only (not for nested objects); without
+ * `unknownKeys`, the store-wide option applies.
+ *
+ * - `'strip'`: drop undeclared keys
+ * - `'passthrough'`: keep undeclared keys as-is, unvalidated
+ * - `'error'`: report undeclared keys as validation issues
+ *
+ * @example
+ * SDO.schema({ plugins: SDO.object({ enabled: 'boolean' }, { unknownKeys: 'passthrough' }) });
+ *
+ * @template {SchemaDefinition} Shape
+ * @template {UnknownKeysPolicy} [U=UnknownKeysPolicy]
+ * @param {Shape} shape - Object schema
+ * @param {{ unknownKeys?: U }} [options]
+ * @returns {ObjectSchema<Shape, U>}
+ */
+function objectSchema(shape, options = {}) {
+	const { unknownKeys } = options;
+	return unknownKeys === undefined ? { $sdo: 'object', shape } : { $sdo: 'object', shape, unknownKeys };
+}
+
+/**
+ * Create a reference to an item of another store, stored as the item's key (a string or number).
+ * Defaults to `null`, meaning no reference.
+ *
+ * @example
+ * SDO.schema({ posts: [{ id: 'integer', title: 'string', authorId: SDO.ref('users', 'id') }] });
+ * // authorId points at an item of `users` in the store registered as 'users'
+ *
+ * @param {string} storeName - Name of the referenced store (`config.name` of `SDO.create`)
+ * @param {string} [key='id'] - Key field of the referenced items
+ * @param {{ path?: string; onDelete?: RefDeleteAction }} [options]
+ * - `path`: Array holding the referenced items in that store, defaults to `storeName`
+ * - `onDelete`: What happens to this reference when the referenced item is removed, nothing by default
+ * @returns {RefSchema}
+ * @throws {TypeError} When the store name or key is empty, or `onDelete` is unknown
+ */
+function refSchema(storeName, key = 'id', options = {}) {
+	const { path = storeName, onDelete } = options;
+	if (!storeName || typeof storeName !== 'string') {
+		throw new TypeError('Invalid ref schema, required the name of the referenced store');
+	}
+	if (!key || typeof key !== 'string') {
+		throw new TypeError(`Invalid ref schema for '${storeName}', required the key field of the referenced items`);
+	}
+	if (onDelete !== undefined && onDelete !== 'cascade' && onDelete !== 'restrict') {
+		throw new TypeError(`Invalid ref schema for '${storeName}', onDelete must be 'cascade' or 'restrict'`);
+	}
+	/** @type {RefSchema} */
+	const ref = { $sdo: 'ref', store: storeName, key, path };
+	if (onDelete) ref.onDelete = onDelete;
+	return ref;
+}
+
+/**
+ * Get a registered store by name, see `config.name` of `SDO.create`
+ *
+ * @param {string} name - Store name
+ * @returns {any} The store, `undefined` when no registered store has this name
+ */
+function getStore(name) {
+	return findStore(name)?.store;
+}
+
+/**
+ * Validate data against a schema without throwing
+ *
+ * @example
+ * const result = SDO.validate(userSchema, JSON.parse(body));
+ * if (!result.ok) console.log(result.issues);
+ *
+ * @template {AnySchema} S
+ * @param {S} schema - Schema definition
+ * @param {unknown} data - Data to validate
+ * @param {{ unknownKeys?: UnknownKeysPolicy }} [options] - `unknownKeys`: Default policy for undeclared object keys
+ * @returns {{ ok: true; value: SchemaToType<S>; issues: [] } | { ok: false; value: undefined; issues: ValidationIssue[] }}
+ * The coerced value when valid, otherwise every validation issue
+ */
+function validate(schema, data, options = {}) {
+	const { unknownKeys = 'strip' } = options;
+	/** @type {ValidationIssue[]} */
+	const issues = [];
+	const value = coerceValue(data, schema, '', { issues, unknownKeys });
+
+	return issues.length === 0 ? { ok: true, value, issues: [] } : { ok: false, value: undefined, issues };
+}
+
+/**
  * A lightweight JSON-based data persistence library
  */
-export default { create: createSDO, schema: defineSchema };
+export default {
+	create: createSDO,
+	schema: defineSchema,
+	enum: enumSchema,
+	literal: literalSchema,
+	union: unionSchema,
+	nullable: nullableSchema,
+	discriminated: discriminatedSchema,
+	record: recordSchema,
+	object: objectSchema,
+	ref: refSchema,
+	getStore,
+	validate,
+	LockTimeoutError,
+	SDOValidationError,
+	FileAdapter,
+	MemoryAdapter,
+};
+
+/**
+ * @typedef {{
+ * 	string: string;
+ * 	number: number;
+ * 	integer: number;
+ * 	boolean: boolean;
+ * 	date: Date;
+ * 	null: null;
+ * 	any: any;
+ * }} PrimitiveTypeMap
+ */
+
+/**
+ * Mirrors `isFieldDescriptor`: has a `type` key, at least one other key, and only descriptor keys holding values
+ * of their kind
+ *
+ * @template S
+ * @typedef {S extends { type: any }
+ * 	? [Exclude<keyof S, FieldDescriptorKey>] extends [never]
+ * 		? [Exclude<keyof S, 'type'>] extends [never]
+ * 			? false
+ * 			: S extends Omit<FieldDescriptor, 'type'> ? true : false
+ * 		: false
+ * 	: false
+ * } IsFieldDescriptor
+ */
+
+/**
+ * @template S
+ * @typedef {S extends { type: infer T }
+ * 	? S extends { optional: true } ? SchemaToType<T> | undefined : SchemaToType<T>
+ * 	: never
+ * } FieldDescriptorToType
+ */
+
+/**
+ * @template S
+ * @typedef {S extends keyof PrimitiveTypeMap ? PrimitiveTypeMap[S] :
+ * 	S extends `${infer Base extends keyof PrimitiveTypeMap}?` ? PrimitiveTypeMap[Base] | undefined :
+ * 	S extends EnumSchema<infer V> ? V :
+ * 	S extends LiteralSchema<infer V> ? V :
+ * 	S extends UnionSchema<infer O> ? SchemaToType<O> :
+ * 	S extends NullableSchema<infer I> ? SchemaToType<I> | null :
+ * 	S extends DiscriminatedSchema<infer K, infer M> ? { [T in keyof M]: { [P in K]: T } & SchemaToType<M[T]> }[keyof M] :
+ * 	S extends RecordSchema<infer V> ? Record<string, SchemaToType<V>> :
+ * 	S extends ObjectSchema<infer Shape, 'passthrough'> ? ShapeToType<Shape> & { [key: string]: unknown } :
+ * 	S extends ObjectSchema<infer Shape> ? ShapeToType<Shape> :
+ * 	S extends RefSchema ? string | number | null :
+ * 	IsFieldDescriptor<S> extends true ? FieldDescriptorToType<S> :
+ * 	S extends [infer Item] ? SchemaToType<Item>[] :
+ * 	S extends SchemaDefinition ? ShapeToType<S> : unknown
+ * } SchemaToType
+ */
+
+/**
+ * @template S
+ * @typedef {{ [K in keyof S]: SchemaToType<S[K]> }} ShapeToType
+ */
+
+/**
+ * @template T
+ * @typedef {Object} StoreEventMap
+ * @property {(data: T) => void} beforeWrite - `write()` is about to validate and write the data
+ * @property {(data: T) => void} write - `write()` or `transaction()` wrote the data
+ * @property {(data: T) => void} reload - Data was reloaded from the file
+ * @property {(data: T) => void} reset - `reset()` replaced and wrote the data
+ * @property {(data: T, snapshotId: string) => void} restore - `restore()` loaded a snapshot and wrote it
+ * @property {(err: SDOValidationError) => void} validationError - Validation failed
+ * @property {(data: T) => void} change - The file was changed externally and reloaded
+ * @property {(err: Error) => void} error - Background work failed
+ */
+
+/**
+ * @template T
+ * @typedef {T extends (infer I)[] ? I : any} ItemOf
+ */
+
+/**
+ * @typedef {Object} PathChange
+ * @property {string} path - Path that changed, e.g. `users[2].email`
+ * @property {any} value - New value at that path, `undefined` when it was deleted
+ * @property {'mutation' | 'reload' | 'reset' | 'restore' | 'transaction' | 'update'} source - What made the change
+ */
+
+/**
+ * Create a data store from JSON file
+ * 
+ * @template {AnySchema} S
+ * @param {Object} config
+ * @param {string} config.file - Path to JSON file, or the key of the document in `options.storage`
+ * @param {S} config.schema - Schema definition, usually an object schema. Arrays (e.g. `[{ id: 'integer' }]`),
+ * primitives and schema nodes work too; `store.data` is then replaced instead of updated in place when it holds a
+ * primitive.
+ * @param {SchemaToType<S>} [config.default] - If the file does not exist, it will be created with this value as the default.
+ * @param {number} [config.version] - Schema version, stored in the file under the reserved `$version` key
+ * @param {import('./helpers/migrations.js').MigrationMap} [config.migrations] - Migration for each starting version,
+ * run in order on open when the file is older than `config.version`
+ * @param {string} [config.name] - Name the store is registered under, for `SDO.ref()` and `SDO.getStore()`.
+ * Stores are registered when they set it, declare `SDO.ref()` fields or enable `checkRefs`, under the file name
+ * without extension by default, and stay registered until `close()`. Must not be the name of another registered
+ * store.
+ * @param {{
+ * 	encoding?: BufferEncoding;
+ * 	autoValidate?: boolean;
+ * 	durability?: import('./helpers/atomic-write.js').Durability;
+ * 	lock?: import('./helpers/file-lock.js').LockMode;
+ * 	lockTimeout?: number;
+ * 	lockStale?: number;
+ * 	unknownKeys?: UnknownKeysPolicy;
+ * 	autosave?: boolean | import('./helpers/debounce.js').DebounceOptions;
+ * 	watch?: boolean | import('./helpers/debounce.js').DebounceOptions;
+ * 	trackChanges?: boolean;
+ * 	indexes?: import('./helpers/indexes.js').IndexOptions;
+ * 	itemKeys?: Record<string, string>;
+ * 	checkRefs?: boolean;
+ * 	backup?: boolean | import('./helpers/backups.js').BackupOptions;
+ * 	wal?: boolean | import('./helpers/write-ahead-log.js').WalOptions;
+ * 	format?: import('./helpers/formats.js').FormatName | import('./helpers/formats.js').FormatAdapter;
+ * 	indent?: number | '\t';
+ * 	sortKeys?: boolean | 'schema';
+ * 	trailingNewline?: boolean;
+ * 	eol?: 'lf' | 'crlf';
+ * 	replacer?: (this: any, key: string, value: any) => any;
+ * 	reviver?: (this: any, key: string, value: any) => any;
+ * 	storage?: import('./helpers/storage.js').StorageAdapter;
+ * 	encryption?: import('./helpers/encryption.js').EncryptionOptions;
+ * }} [options] - Configuration options
+ * @throws {SDOValidationError} When autoValidate is true (default) and initValue or existing file data does not match schema
+ *
+ * `lock: 'inter-process'` additionally holds an on-disk lockfile during `write`, `reload` and `reset`,
+ * waiting up to `lockTimeout` ms (default 10000) and treating locks not renewed for `lockStale` ms (default 30000)
+ * or held by a dead process as abandoned. Operations throw `LockTimeoutError` when the lock can't be acquired.
+ *
+ * With `config.version`, an older file is migrated before validation, backed up (`<file>.v<N>.<timestamp>.bak`)
+ * and written back at the current version.
+ *
+ * With `autosave`, changes made through `store.data` mark the store dirty and are written automatically,
+ * `debounceMs` (default 100) after the last change and at most `maxWaitMs` (default 1000) after the first one.
+ * `trackChanges` (enabled by `autosave` and `indexes`) detects changes made through `store.data` without autosaving
+ * them, e.g. for `subscribe`. Collection lookups use `indexes` through it, so indexes that are not unique can't be
+ * combined with `trackChanges: false`.
+ *
+ * `itemKeys` names the field identifying the items of each array (`'orders'`, or `'orders[*].lines'` for arrays
+ * inside items), `id` by default. When data is replaced (`reload()`, `reset()`, transactions...), an item keeps its
+ * object when the new data has an item with the same key.
+ *
+ * With `watch`, changes made to the file by others are reloaded into `data` and emitted as `'change'`.
+ * Content that fails to parse or validate is emitted as `'error'` and `data` keeps its last valid state.
+ *
+ * With `checkRefs`, every write is rejected when a reference (`SDO.ref()`) points at an item that doesn't exist
+ * in the referenced store, or at a store that is not open.
+ *
+ * With `backup`, the file is copied to `backup.dir` (default `backups` next to the file) before it gets overwritten,
+ * before every write or at most once per `backup.interval` ms, keeping the newest `backup.keep` (default 10) copies.
+ *
+ * With `wal`, writes append their changes as JSON Patch operations to `<file>.log` instead of rewriting the file.
+ * The log is replayed on open and compacted into the file once it holds `wal.maxOps` operations (default 1000)
+ * or `wal.maxBytes` bytes (default 1 MiB), or on `compact()`. Not available with `lock: 'inter-process'`.
+ *
+ * `format` defaults to the one matching the file extension (`.json5`, `.yaml`/`.yml`, `.ndjson`/`.jsonl`,
+ * `.msgpack`), JSON otherwise. Validation doesn't depend on it.
+ *
+ * Text output is indented with `indent` (a number of spaces, `'\t'` by default, `0` for one line), ends with
+ * a newline with `trailingNewline` and uses `eol` line endings. `sortKeys` writes object keys alphabetically
+ * (`true`) or in schema declaration order (`'schema'`), so files diff cleanly. `replacer` and `reviver` work
+ * like those of `JSON.stringify` and `JSON.parse`, for values JSON can't hold (e.g. BigInt).
+ *
+ * `storage` is where the document is kept: files on disk by default (`SDO.FileAdapter`), or any `StorageAdapter`,
+ * e.g. `new SDO.MemoryAdapter()` in tests. `lock: 'inter-process'` and `watch` need an adapter implementing
+ * `lock` and `watch`; `backup` and `wal` work with `SDO.FileAdapter` itself only, not subclasses.
+ *
+ * With `encryption`, the file is encrypted with AES-256-GCM under `encryption.key` (or the key resolved by
+ * `encryption.keyProvider()` on open). Reading a file that is not encrypted, was encrypted with another key or was
+ * tampered with throws. Not available with `wal`, whose log would hold the data in plain text.
+ */
+async function createSDO(config, options = {}) {
+	const {
+		encoding = 'utf8',
+		autoValidate = true,
+		durability = 'fsync',
+		lock: lockMode = 'process',
+		lockTimeout,
+		lockStale,
+		unknownKeys = 'strip',
+		autosave = false,
+		watch = false,
+		trackChanges: trackChangesIn,
+		indexes: indexOptions = {},
+		itemKeys = {},
+		checkRefs = false,
+		backup = false,
+		wal = false,
+		format,
+		indent = '\t',
+		sortKeys = false,
+		trailingNewline = false,
+		eol = 'lf',
+		replacer,
+		reviver,
+		storage = defaultStorage,
+		encryption,
+	} = options;
+	const { file: filePath, schema, default: defaultValueIn, version, migrations = {}, name } = config;
+	const fileFormat = await resolveFormat(filePath, format);
+	// An explicit format names the extension of a path without one
+	const storagePath =
+		format !== undefined && !path.extname(filePath) ? `${filePath}${fileFormat.extension}` : filePath;
+	const absPath = storage.resolve ? storage.resolve(storagePath) : storagePath;
+	const storeName = name ?? path.basename(absPath, path.extname(absPath));
+	const refSchemas = collectRefSchemas(/** @type {AnySchema} */ (schema));
+	// Only stores taking part in references are registered, so others can share a name (or a file)
+	const registered = name !== undefined || refSchemas.length > 0 || Boolean(checkRefs);
+
+	if (version !== undefined && (!Number.isInteger(version) || version < 0)) {
+		throw new TypeError(`Invalid version, expected a non-negative integer, got ${JSON.stringify(version)}`);
+	}
+	if (version !== undefined && fileFormat.arrayOnly) {
+		const formatName = fileFormat.name ?? 'this';
+		throw new TypeError(`Option 'version' cannot be combined with the ${formatName} format, which only stores arrays`);
+	}
+
+	if (lockMode !== 'process' && lockMode !== 'inter-process') {
+		throw new TypeError(`Invalid lock, expected 'process' or 'inter-process', got ${JSON.stringify(lockMode)}`);
+	}
+	if (durability !== 'fsync' && durability !== 'fast') {
+		throw new TypeError(`Invalid durability, expected 'fsync' or 'fast', got ${JSON.stringify(durability)}`);
+	}
+	if (indent !== '\t' && !(Number.isInteger(indent) && indent >= 0 && indent <= 10)) {
+		throw new TypeError(`Invalid indent, expected '\\t' or an integer from 0 to 10, got ${JSON.stringify(indent)}`);
+	}
+	if (sortKeys !== true && sortKeys !== false && sortKeys !== 'schema') {
+		throw new TypeError(`Invalid sortKeys, expected a boolean or 'schema', got ${JSON.stringify(sortKeys)}`);
+	}
+	if (eol !== 'lf' && eol !== 'crlf') {
+		throw new TypeError(`Invalid eol, expected 'lf' or 'crlf', got ${JSON.stringify(eol)}`);
+	}
+
+	const { maxOps: walMaxOps = 1000, maxBytes: walMaxBytes = 1024 * 1024 } = wal === true ? {} : wal || {};
+	if (wal && lockMode === 'inter-process') {
+		throw new TypeError("Option 'wal' cannot be combined with lock: 'inter-process'");
+	}
+
+	if ([storage?.read, storage?.write, storage?.exists, storage?.ensureDir].some((fn) => typeof fn !== 'function')) {
+		throw new TypeError('Invalid storage adapter, required read(), write(), exists() and ensureDir()');
+	}
+	if (lockMode === 'inter-process' && !storage.lock) {
+		throw new TypeError("Option lock: 'inter-process' requires a storage adapter implementing lock()");
+	}
+	if (watch && !storage.watch) {
+		throw new TypeError("Option 'watch' requires a storage adapter implementing watch()");
+	}
+	// Backups and the log live next to the file and use `fs` directly, so a subclass storing files elsewhere
+	// can't have them either
+	const isLocalStorage = Object.getPrototypeOf(storage) === FileAdapter.prototype;
+	if ((backup || wal) && !isLocalStorage) {
+		throw new TypeError(`Option '${backup ? 'backup' : 'wal'}' is only available with the file storage`);
+	}
+	if (encryption && wal) {
+		throw new TypeError("Option 'wal' cannot be combined with 'encryption'");
+	}
+
+	/** Encrypts the file with `options.encryption`, replaced by `rotateKey()` */
+	let cipher = encryption ? await createEncryption(encryption) : null;
+	// Encrypted files are text, whatever their format
+	const readBinary = Boolean(fileFormat.binary) && !cipher;
+
+	const indexList = parseIndexOptions(indexOptions);
+	for (const index of indexList) {
+		const fieldPath = [...index.segments, 0, ...index.fieldSegments];
+		if (resolveSchemaPath(/** @type {AnySchema} */ (schema), fieldPath).depth !== fieldPath.length) {
+			throw new TypeError(`Cannot index '${index.field}' of '${index.path}': not a field of an array in the schema`);
+		}
+	}
+
+	const itemKeyList = Object.entries(itemKeys).map(([arrayPath, field]) => {
+		const segments = parsePath(arrayPath);
+		const fieldPath = [...segments.map((segment) => (segment === '*' ? 0 : segment)), 0, field];
+		const declared = resolveSchemaPath(/** @type {AnySchema} */ (schema), fieldPath).depth === fieldPath.length;
+		if (typeof field !== 'string' || !declared) {
+			throw new TypeError(
+				`Invalid item key ${JSON.stringify(field)} of '${arrayPath}': not a field of an array in the schema`
+			);
+		}
+		return { segments, field };
+	});
+	/** @type {ItemKeyResolver} */
+	const itemKeyOf = (arrayPath) => {
+		const match = itemKeyList.find(
+			({ segments }) => segments.length === arrayPath.length && pathsOverlap(segments, arrayPath)
+		);
+		return match ? match.field : 'id';
+	};
+
+	// Lookups can only trust indexes kept up to date with the changes made through `data`
+	const trackChangesOption = trackChangesIn ?? (Boolean(autosave) || indexList.length > 0);
+	const lookupIndex = indexList.find((index) => !index.unique);
+	if (!trackChangesOption && lookupIndex) {
+		throw new TypeError(
+			`Cannot index '${lookupIndex.field}' of '${lookupIndex.path}' with trackChanges: false, lookups need change tracking`
+		);
+	}
+
+	// Create default value from schema
+	const defaultValue = defaultValueIn !== undefined ? defaultValueIn : createDefaultFromSchema(schema);
+	if (defaultValue === undefined) {
+		throw new TypeError('Invalid schema, the root value cannot be optional (JSON has no undefined)');
+	}
+
+	// VALIDATE FIRST - before any file operations
+	if (autoValidate) {
+		validateAndCoerce(defaultValue, schema, { context: 'Initial value validation failed', unknownKeys });
+	}
+
+	/**
+	 * Serialize data for the file, adding the schema version when versioning is enabled
+	 *
+	 * @param {any} value
+	 * @returns {string | Uint8Array}
+	 */
+	const serialize = (value) => {
+		const ordered = sortKeys ? orderKeys(value, /** @type {AnySchema} */ (schema), sortKeys) : value;
+		const versioned = version !== undefined ? withVersion(ordered, version) : ordered;
+		const content = fileFormat.stringify(replacer ? replaceValues(versioned, replacer) : versioned, { indent });
+		if (typeof content !== 'string') return content;
+
+		const text = trailingNewline && !content.endsWith('\n') ? `${content}\n` : content;
+		return eol === 'crlf' ? text.replace(/\r?\n/g, '\r\n') : text;
+	};
+
+	/** @type {string | Uint8Array | undefined} Last content written, so the watcher can skip the store's own writes */
+	let lastContent;
+
+	/** @type {Map<string, Set<any>>} Keys of the items other stores reference, as stored, by `${path}\0${key}` */
+	let storedKeys = new Map();
+
+	/**
+	 * Remember the keys of the items other open stores reference, as stored, so `write()` can tell which ones
+	 * changes made directly to `data` removed
+	 *
+	 * @param {any} value - Data as stored
+	 */
+	const rememberStoredKeys = (value) => {
+		storedKeys = new Map();
+		if (!registered) return;
+		for (const [otherName, entry] of listStores()) {
+			if (otherName === storeName) continue;
+			for (const ref of entry.refs) {
+				const target = `${ref.path}\0${ref.key}`;
+				if (ref.store === storeName && !storedKeys.has(target)) storedKeys.set(target, referencedKeys(value, ref));
+			}
+		}
+	};
+
+	const backups = backup ? createBackups(absPath, backup) : null;
+	const log = wal ? createWriteAheadLog(`${absPath}.log`, { encoding, durability, replacer, reviver }) : null;
+
+	/** @type {any} With `wal`, a copy of the data as stored (file and log), to diff the next write against */
+	let walPersisted;
+
+	/**
+	 * Write data to the file atomically. With `wal`, this is a compaction: the log is cleared once the file holds
+	 * everything.
+	 *
+	 * @param {any} value
+	 * @returns {Promise<void>}
+	 */
+	const writeDocument = async (value) => {
+		const serialized = serialize(value);
+		const content = cipher ? cipher.encrypt(serialized, encoding) : serialized;
+		await backups?.beforeOverwrite();
+		lastContent = content;
+		await storage.write(absPath, content, { encoding, durability });
+
+		if (log) {
+			await log.reset(content);
+			walPersisted = cloneValue(value);
+		}
+	};
+
+	/**
+	 * Store data: with `wal`, append the changes to the log (compacting when it gets too large), otherwise
+	 * write the whole file
+	 *
+	 * @param {any} value
+	 * @returns {Promise<void>}
+	 */
+	const persist = async (value) => {
+		if (!log || walPersisted === undefined) {
+			await writeDocument(value);
+		} else {
+			const ops = diffValues(walPersisted, value);
+			if (ops.length > 0) await log.append(ops);
+			walPersisted = cloneValue(value);
+
+			if (log.ops >= walMaxOps || log.bytes >= walMaxBytes) await writeDocument(value);
+		}
+		rememberStoredKeys(value);
+	};
+
+	/**
+	 * Read the file (or a snapshot of it) and bring its content up to the current schema version
+	 *
+	 * @param {string} [sourcePath] - File to read, the store's file by default
+	 * @returns {Promise<{ data: any; fromVersion: number }>} Migrated data and the version it was stored at
+	 */
+	const readDocument = async (sourcePath = absPath) => {
+		const readOptions = { encoding, reviver, cipher };
+		const { raw, parsed } = await readAndParse(storage, sourcePath, fileFormat, readOptions, defaultValue);
+
+		// An empty file falls back to the default value, which is already at the current version
+		const stored =
+			version === undefined || parsed === defaultValue
+				? { data: parsed, version: version ?? 0 }
+				: splitVersion(parsed);
+
+		// Logged changes apply to the data as stored, before migrations
+		const current =
+			log && sourcePath === absPath
+				? await log.replay(raw, stored.data === defaultValue ? cloneValue(defaultValue) : stored.data)
+				: stored.data;
+
+		if (version === undefined) return { data: current, fromVersion: 0 };
+		const migrated = await runMigrations(current, stored.version, version, migrations, sourcePath);
+		return { data: migrated, fromVersion: stored.version };
+	};
+
+	const fileLock = getFileLock(absPath);
+	const sharedLock =
+		lockMode === 'inter-process' && storage.lock
+			? storage.lock(absPath, { timeout: lockTimeout, stale: lockStale })
+			: null;
+	/** @type {Pick<ReturnType<typeof getFileLock>, 'run'>} Queue of this process, then the shared lock */
+	const lock = sharedLock ? { run: (task) => fileLock.run(() => sharedLock.run(task)) } : fileLock;
+
+	if (registered) assertStoreNameFree(storeName);
+
+	// Create directory structure, which also holds the lockfile
+	await storage.ensureDir(path.dirname(absPath));
+
+	// Under the lock, so a store opening the same file at the same time (here or in another process) finds it
+	// created or migrated instead of doing it again
+	const validatedData = await lock.run(async () => {
+		// Check if file exists
+		const fileExists = await storage.exists(absPath);
+
+		if (!fileExists) {
+			// File doesn't exist - use validated default value
+			console.log(`> [stored-data-object.from] File not found, creating: ${absPath}`);
+			const initialData = autoValidate ? validateAndCoerce(defaultValue, schema, { unknownKeys }) : defaultValue;
+
+			// Write initial data to file
+			await persist(initialData);
+			return initialData;
+		}
+
+		// File exists - read, migrate and validate
+		const { data: parsedData, fromVersion } = await readDocument();
 
-/**
- * @template S
- * @typedef {S extends 'string' ? string :
- * 	S extends 'string?' ? string | undefined :
- * 		S extends 'number' ? number :
- * 			S extends 'number?' ? number | undefined :
- * 				S extends 'boolean' ? boolean :
- * 					S extends 'boolean?' ? boolean | undefined :
- * 						S extends [infer Item] ? SchemaToType<Item>[] :
- * 							S extends SchemaDefinition ? { [K in keyof S]: SchemaToType<S[K]> } : unknown
- * } SchemaToType
- */
+		// Validate existing data BEFORE using it
+		const existingData = autoValidate
+			? validateAndCoerce(parsedData, schema, { context: 'Existing file data validation failed', unknownKeys })
+			: parsedData;
 
-/**
- * Create a data store from JSON file
- * 
- * @template {SchemaDefinition} S
- * @param {Object} config
- * @param {string} config.file - Path to JSON file
- * @param {S} config.schema - Schema definition
- * @param {SchemaToType<S>} [config.default] - If the file does not exist, it will be created with this value as the default.
- * @param {{
- * 	encoding?: BufferEncoding;
- * 	autoValidate?: boolean;
- * }} [options] - Configuration options
- * @throws {Error} When autoValidate is true (default) and initValue does not match schema
- */
-async function createSDO(config, options = {}) {
-	const { encoding = 'utf8', autoValidate = true } = options;
-	const { file: filePath, schema, default: defaultValueIn } = config;
-	const absPath = path.resolve(filePath);
+		// Persist migrated data, keeping the old file as backup
+		if (version !== undefined && fromVersion < version) {
+			const backupPath = await backupBeforeMigration(storage, absPath, fromVersion, { encoding, durability });
+			await writeDocument(existingData);
+			console.log(`> [stored-data-object.from] Migrated v${fromVersion} -> v${version}, backup: ${backupPath}`);
+		}
+		return existingData;
+	});
 
-	// Create default value from schema
-	const defaultValue = defaultValueIn !== undefined ? defaultValueIn : createDefaultFromSchema(schema);
+	let data = validatedData;
+	if (log && walPersisted === undefined) walPersisted = cloneValue(data);
+	rememberStoredKeys(data);
 
-	// VALIDATE FIRST - before any file operations
-	if (autoValidate) {
+	const events = new EventEmitter();
+
+	/**
+	 * Emit failures of background work (autosave, watch) as `'error'`, or log them when nobody listens
+	 *
+	 * @param {string} source - Feature that failed, for the log prefix
+	 * @param {unknown} err
+	 */
+	const reportError = (source, err) => {
+		if (events.listenerCount('error') > 0) events.emit('error', err);
+		else console.error(`> [stored-data-object.${source}] ${absPath}:`, err);
+	};
+
+	/**
+	 * Emit an event about a change that already happened (e.g. written to the file). A listener that throws can't
+	 * undo it, so its error is reported as `'error'` instead of failing the operation.
+	 *
+	 * @param {'write' | 'reload' | 'change' | 'reset' | 'restore'} event
+	 * @param {...any} args
+	 */
+	const notifyListeners = (event, ...args) => {
 		try {
-			validateAndCoerce(defaultValue, schema, '');
+			events.emit(event, ...args);
 		} catch (err) {
-			throw new Error(`Initial value validation failed: ${/** @type {Error} */ (err).message}`);
+			reportError(event, err);
 		}
-	}
+	};
 
-	let parsedData;
-	let validatedData;
+	/**
+	 * Validate data for the store, emitting `'validationError'` before rethrowing
+	 *
+	 * @param {any} value
+	 * @param {string} [context]
+	 * @param {AnySchema} [valueSchema] - Schema of `value` when it is a part of the document
+	 * @param {string} [valuePath] - Path of `value` in the document
+	 * @returns {any} Coerced data
+	 */
+	const validateData = (value, context, valueSchema = schema, valuePath = '') => {
+		try {
+			return validateAndCoerce(value, valueSchema, { context, unknownKeys, path: valuePath });
+		} catch (err) {
+			if (err instanceof SDOValidationError) events.emit('validationError', err);
+			throw err;
+		}
+	};
 
-	// Check if file exists
-	try {
-		await fs.access(absPath);
+	/** @type {Set<{ pattern: import('./helpers/path.js').PathSegments; callback: (change: PathChange) => void }>} */
+	const subscriptions = new Set();
 
-		// File exists - read and validate
-		parsedData = await readAndParseJSON(absPath, encoding, defaultValue);
+	/**
+	 * Call the subscriptions affected by changes
+	 *
+	 * @param {import('./helpers/path.js').PathSegments[]} changedPaths
+	 * @param {PathChange['source']} source - What made the change
+	 */
+	const notifySubscribers = (changedPaths, source) => {
+		if (subscriptions.size === 0) return;
 
-		// Validate existing data BEFORE using it
-		if (autoValidate) {
-			try {
-				validatedData = validateAndCoerce(parsedData, schema, '');
-			} catch (err) {
-				throw new Error(`Existing file data validation failed: ${/** @type {Error} */ (err).message}`);
+		for (const changed of changedPaths) {
+			for (const { pattern, callback } of subscriptions) {
+				if (!pathsOverlap(pattern, changed)) continue;
+
+				try {
+					callback({ path: formatPath(changed), value: getAtPath(data, changed), source });
+				} catch (err) {
+					reportError('subscribe', err);
+				}
 			}
-		} else {
-			validatedData = parsedData;
 		}
-	} catch (accessError) {
-		// File doesn't exist - use validated default value
-		console.log(`> [stored-data-object.from] File not found, creating: ${absPath}`);
+	};
 
-		// Create directory structure
-		await fs.mkdir(path.dirname(absPath), { recursive: true });
+	// Items found through indexes are read from the exposed data, so they are tracked like any other
+	const indexes = createIndexes(() => data, () => exposedData, indexList, { tracked: trackChangesOption });
 
-		// Use already-validated default value
-		validatedData = autoValidate ? validateAndCoerce(defaultValue, schema, '') : defaultValue;
+	/** @type {Map<string, number>} Highest key generated by each collection with `autoId: 'increment'` */
+	const collectionLastIds = new Map();
 
-		// Write initial data to file
-		await fs.writeFile(absPath, JSON.stringify(validatedData, null, '\t'), encoding);
-	}
+	/**
+	 * Reject data repeating a value of a unique index, emitting `'validationError'` before throwing
+	 *
+	 * @param {any} value - Next state
+	 * @throws {SDOValidationError}
+	 */
+	const assertUniqueIndexes = (value) => {
+		const issues = indexes.uniqueIssues(value);
+		if (issues.length === 0) return;
+
+		const error = new SDOValidationError(issues, 'Unique index violation');
+		events.emit('validationError', error);
+		throw error;
+	};
+
+	/**
+	 * Reject data holding references to missing items (with `checkRefs`), emitting `'validationError'` before throwing
+	 *
+	 * @param {any} value - Next state
+	 * @throws {SDOValidationError}
+	 */
+	const assertReferences = (value) => {
+		if (!checkRefs) return;
+
+		/** @type {Map<string, Set<any> | undefined>} Keys of each referenced array, `undefined` when its store is not open */
+		const keysByTarget = new Map();
+		/** @type {ValidationIssue[]} */
+		const issues = [];
+
+		for (const { segments, ref, value: id } of collectReferences(value, /** @type {AnySchema} */ (schema))) {
+			const target = `${ref.store}\0${ref.path}\0${ref.key}`;
+			if (!keysByTarget.has(target)) {
+				// References into this store are checked against the next state, not the current one
+				const root = ref.store === storeName ? value : findStore(ref.store)?.store.data;
+				keysByTarget.set(target, root === undefined ? undefined : referencedKeys(root, ref));
+			}
+
+			const keys = keysByTarget.get(target);
+			if (keys?.has(id)) continue;
+
+			const fieldPath = formatPath(segments);
+			issues.push({
+				path: fieldPath,
+				expected: `existing ${ref.store}.${ref.key}`,
+				received: receivedType(id),
+				value: id,
+				message: keys
+					? `Field '${fieldPath}' references a missing ${ref.store}.${ref.key}: ${JSON.stringify(id)}`
+					: `Field '${fieldPath}' references store '${ref.store}', which is not open`,
+			});
+		}
+
+		if (issues.length === 0) return;
+
+		const error = new SDOValidationError(issues, 'Reference check failed');
+		events.emit('validationError', error);
+		throw error;
+	};
+
+	/**
+	 * Check what the items removed by the next state do to references from other stores: `'restrict'` ones reject
+	 * the change, `'cascade'` ones are returned to be applied once it is written. References without `onDelete`
+	 * count as `'restrict'` in stores with `checkRefs`, which would reject their next write anyway. Items count as
+	 * removed when they are stored and missing from the next state, so direct changes to `data` are seen too.
+	 * Cascades are checked against the referencing stores right away, so one they would reject rejects the change
+	 * before it is written.
+	 *
+	 * @param {any} next - Next state
+	 * @returns {(() => Promise<void>)[]} Cascading deletes, one per referencing store
+	 * @throws {SDOValidationError} When a removed item is still referenced with `'restrict'`
+	 */
+	const checkIncomingReferences = (next) => {
+		// Other stores can't reference a store that is not registered
+		if (!registered) return [];
+
+		/** @type {{ entry: import('./helpers/registry.js').RegisteredStore; cascade: (draft: any) => void }[]} */
+		const cascades = [];
+		/** @type {ValidationIssue[]} */
+		const issues = [];
+		/** @type {Map<string, Set<any>>} */
+		const removedByTarget = new Map();
+
+		/** @param {import('./helpers/registry.js').Reference} reference */
+		const isRemoved = ({ ref, value }) => {
+			if (ref.store !== storeName) return false;
+
+			const target = `${ref.path}\0${ref.key}`;
+			let removed = removedByTarget.get(target);
+			if (!removed) {
+				const kept = referencedKeys(next, ref);
+				const stored = storedKeys.get(target) ?? referencedKeys(data, ref);
+				removed = new Set([...stored].filter((key) => !kept.has(key)));
+				removedByTarget.set(target, removed);
+			}
+			return removed.has(value);
+		};
+
+		for (const [otherName, entry] of listStores()) {
+			/** @param {RefSchema} ref */
+			const actionOf = (ref) => ref.onDelete ?? (entry.checkRefs ? 'restrict' : undefined);
+			if (entry.store === store || !entry.refs.some((ref) => ref.store === storeName && actionOf(ref))) continue;
+
+			const hits = entry.references().filter((found) => actionOf(found.ref) && isRemoved(found));
+			for (const { segments, ref, value } of hits) {
+				if (actionOf(ref) !== 'restrict') continue;
+
+				const fieldPath = formatPath(segments);
+				issues.push({
+					path: fieldPath,
+					expected: `no reference from '${otherName}'`,
+					received: receivedType(value),
+					value,
+					message: `Cannot remove ${storeName}.${ref.key} ${JSON.stringify(value)}: referenced by '${fieldPath}' in '${otherName}'`,
+				});
+			}
+
+			if (hits.some(({ ref }) => ref.onDelete === 'cascade')) {
+				/** @param {any} draft - Data of the referencing store, changed in place */
+				const cascade = (draft) => {
+					const cascading = entry.references(draft).filter((found) => actionOf(found.ref) === 'cascade');
+					removeReferencing(draft, cascading.filter(isRemoved));
+				};
+				cascades.push({ entry, cascade });
+			}
+		}
+
+		if (issues.length > 0) {
+			const error = new SDOValidationError(issues, 'Referenced items cannot be removed');
+			events.emit('validationError', error);
+			throw error;
+		}
+
+		for (const { entry, cascade } of cascades) entry.check(cascade);
+		return cascades.map(({ entry, cascade }) => async () => {
+			await entry.store.transaction(cascade);
+		});
+	};
+
+	/** @type {(() => Promise<void>)[]} Cascading deletes of committed changes, applied once the lock is released */
+	let pendingCascades = [];
+
+	/**
+	 * Run `fn` under the lock, then apply the cascading deletes caused by its changes. They were checked under
+	 * the lock, but run after it is released, so two stores referencing each other never wait for each other's
+	 * lock.
+	 *
+	 * @template R
+	 * @param {() => Promise<R>} fn
+	 * @returns {Promise<R>}
+	 */
+	const runLocked = async (fn) => {
+		const result = await lock.run(fn);
+
+		const cascades = pendingCascades;
+		pendingCascades = [];
+		for (const cascade of cascades) await cascade();
+		return result;
+	};
+
+	/**
+	 * Create a function copying values read from a path, with references replaced by copies of the items they
+	 * point to (`null` when missing). Fields are checked against the schema right away.
+	 *
+	 * @param {import('./helpers/path.js').PathSegments} valueSegments - Path of the values, `'*'` for every item
+	 * @param {string[]} fields - Paths of references relative to the values, e.g. `'authorId'` or `'comments[*].userId'`
+	 * @returns {(value: any) => any}
+	 * @throws {TypeError} When a field is not a reference in the schema
+	 */
+	const createPopulator = (valueSegments, fields) => {
+		const targets = fields.map((field) => {
+			const segments = parsePath(field);
+			const target = resolveRefPath(/** @type {AnySchema} */ (schema), [...valueSegments, ...segments]);
+			if (!target) throw new TypeError(`Cannot populate '${field}': not a reference in the schema`);
+			return { field, segments, ...target };
+		});
+
+		return (value) => {
+			if (value === undefined || value === null) return value;
+
+			const result = cloneValue(value);
+			for (const { field, segments, ref, many } of targets) {
+				const referenced = findStore(ref.store)?.store;
+				if (!referenced) throw new Error(`Cannot populate '${field}': store '${ref.store}' is not open`);
+
+				const items = referenced.collection(ref.path, { primaryKey: ref.key });
+				/** @param {any} id */
+				const resolve = (id) => (id === undefined || id === null ? id : cloneValue(items.findById(id) ?? null));
+
+				replaceAtPath(result, segments, (found) => {
+					if (!many) return resolve(found);
+					return Array.isArray(found) ? found.map(resolve) : found;
+				});
+			}
+			return result;
+		};
+	};
+
+	let dirty = false;
+	let closed = false;
+	/** @type {Promise<void> | null} Last `write()` started and not done yet, e.g. an autosave */
+	let pendingWrite = null;
+	const autosaveTask = autosave
+		? createDebouncedTask(
+				() => {
+					store.flush().catch((err) => reportError('autosave', err));
+				},
+				autosave === true ? {} : autosave
+		  )
+		: null;
+
+	/**
+	 * Wrap data for `store.data`. Only changes made through the exposed data are tracked; internal updates
+	 * (reload, reset) use `data` directly. Primitives are exposed as-is, they can only be replaced.
+	 *
+	 * @param {any} value
+	 * @returns {any}
+	 */
+	const exposeData = (value) =>
+		trackChangesOption && (isPlainObject(value) || Array.isArray(value))
+			? trackChanges(value, (changedPath) => {
+					dirty = true;
+					indexes.update([{ path: changedPath }]);
+					if (autosaveTask && !closed) autosaveTask.schedule();
+					notifySubscribers([changedPath], 'mutation');
+			  })
+			: value;
+
+	let exposedData = exposeData(data);
+
+	/**
+	 * Apply the next state to `data`, in place when possible so references to it and to the objects it holds
+	 * stay valid. Otherwise (e.g. a primitive root) `data` and `store.data` are replaced.
+	 *
+	 * @param {any} next - Next state
+	 * @returns {import('./helpers/path.js').PathSegments[]} Paths whose value changed
+	 */
+	const applyData = (next) => {
+		/** @type {import('./helpers/indexes.js').DataChange[]} */
+		const changes = [];
+		const root = updateDataRef(data, next, (path, spliceStart) => changes.push({ path, spliceStart }), itemKeyOf);
+		if (root !== data) {
+			data = root;
+			exposedData = exposeData(root);
+		}
+		indexes.update(changes);
+		return changes.map((change) => change.path);
+	};
+
+	/**
+	 * Read, migrate and validate the file, then update `data` in place. Throws without touching `data`
+	 * when the content is invalid.
+	 */
+	const reloadFromFile = async () => {
+		const { data: newParsedData } = await readDocument();
+		const newValidatedData = autoValidate ? validateData(newParsedData) : newParsedData;
+
+		const changedPaths = applyData(newValidatedData);
+		if (log) walPersisted = cloneValue(newValidatedData);
+		rememberStoredKeys(data);
+		dirty = false;
+
+		notifyListeners('reload', exposedData);
+		notifySubscribers(changedPaths, 'reload');
+	};
+
+	/**
+	 * Write the next state and apply it to `data` in place. Must run under the lock, with validated data.
+	 *
+	 * @param {any} next - Next state
+	 * @param {PathChange['source']} source - What made the change, for subscribers
+	 */
+	const commit = async (next, source) => {
+		assertUniqueIndexes(next);
+		assertReferences(next);
+		const cascades = checkIncomingReferences(next);
+		await persist(next);
+		pendingCascades.push(...cascades);
+
+		const changedPaths = applyData(next);
+		dirty = false;
+
+		notifyListeners('write', exposedData);
+		notifySubscribers(changedPaths, source);
+	};
+
+	/**
+	 * Parse a path for `get`, `set` and `delete`, which need a concrete location
+	 *
+	 * @param {string} pathString
+	 * @returns {import('./helpers/path.js').PathSegments}
+	 */
+	const parseConcretePath = (pathString) => {
+		const segments = parsePath(pathString);
+		if (segments.includes('*')) throw new TypeError(`Path must not contain wildcards: '${pathString}'`);
+		return segments;
+	};
+
+	/**
+	 * Reject a path the schema doesn't declare, whose value would be stripped or rejected by validation. Paths
+	 * inside records, unions, field descriptors, `any` and passthrough objects are left to validation.
+	 *
+	 * @param {import('./helpers/path.js').PathSegments} segments
+	 * @throws {TypeError} When the path is not declared
+	 */
+	const assertDeclaredPath = (segments) => {
+		const resolved = resolveSchemaPath(/** @type {AnySchema} */ (schema), segments);
+		if (resolved.depth === segments.length) return;
+
+		let current = resolved.schema;
+		while (isSchemaNode(current) && current.$sdo === 'nullable') current = /** @type {AnySchema} */ (current.inner);
+		const isDeclaredObject =
+			isSchemaNode(current) ? current.$sdo === 'object' : isPlainObject(current) && !isFieldDescriptor(current);
+		const policy =
+			(isSchemaNode(current) && current.$sdo === 'object' ? current.unknownKeys : undefined) ?? unknownKeys;
+
+		if (isArraySchema(current) || (isDeclaredObject && policy !== 'passthrough')) {
+			throw new TypeError(`Path '${formatPath(segments)}' is not declared in the schema`);
+		}
+	};
+
+	/**
+	 * Apply `change` to a copy of `data`, validate the whole next state, then write and apply it
+	 *
+	 * @param {import('./helpers/path.js').PathSegments} segments - Path being changed
+	 * @param {(parent: any, key: string | number) => void} change - Changes the value under `parent[key]`
+	 * @throws {TypeError} When the schema doesn't declare the path
+	 */
+	const commitAtPath = async (segments, change) => {
+		assertDeclaredPath(segments);
+
+		const draft = cloneValue(data);
+		const parentSegments = segments.slice(0, -1);
+		const parent = getAtPath(draft, parentSegments);
+		if (typeof parent !== 'object' || parent === null) {
+			throw new Error(
+				`Cannot change '${formatPath(segments)}': '${formatPath(parentSegments)}' is not an object or array`
+			);
+		}
+		change(parent, segments[segments.length - 1]);
+
+		// Other parts of the data may depend on the changed value (e.g. through unique or minItems), so all of it
+		const context = `Invalid value for '${formatPath(segments)}'`;
+		await commit(autoValidate ? validateData(draft, context) : draft, 'update');
+	};
+
+	const watcher =
+		watch && storage.watch
+			? storage.watch(
+					absPath,
+					() => {
+						lock.run(async () => {
+							const content = await readContent(storage, absPath, readBinary, encoding);
+							if (isSameContent(content, lastContent)) return;
 
-	const data = validatedData;
-	const lock = getFileLock(absPath);
+							lastContent = content;
+							await reloadFromFile();
+							notifyListeners('change', exposedData);
+						}).catch((err) => reportError('watch', err));
+					},
+					(err) => reportError('watch', err),
+					watch === true ? {} : watch
+			  )
+			: null;
 
-	return {
-		/**@type {SchemaToType<S>} */
-		data,
+	// Content the file had on open, when it was not written by this store
+	if (watcher && lastContent === undefined) {
+		lastContent = await readContent(storage, absPath, readBinary, encoding);
+	}
+
+	const store = {
+		/**
+		 * The data, typed according to the schema
+		 * @returns {SchemaToType<S>}
+		 */
+		get data() {
+			return exposedData;
+		},
 
 		filePath: absPath,
 
+		/**
+		 * Whether data changed since the last write. Always false without `autosave` or `trackChanges`.
+		 * @returns {boolean}
+		 */
+		get isDirty() {
+			return dirty;
+		},
+
 		/**
 		 * Write current data to file
 		 *
 		 * @returns {Promise<void>}
-		 * @throws {Error} When autoValidate is true (default) and data does not match schema
+		 * @throws {SDOValidationError} When autoValidate is true (default) and data does not match schema
 		 */
 		async write() {
-			await lock.run(async () => {
-				// Validate before writing
-				if (autoValidate) {
-					try {
-						validateAndCoerce(data, schema, '');
-					} catch (err) {
-						throw new Error(`Data validation failed before write: ${/** @type {Error} */ (err).message}`);
-					}
+			const writing = runLocked(async () => {
+				// Changes made while writing mark the store dirty again
+				const wasDirty = dirty;
+				dirty = false;
+				try {
+					events.emit('beforeWrite', exposedData);
+
+					// Validate before writing
+					if (autoValidate) validateData(data, 'Data validation failed before write');
+					assertUniqueIndexes(data);
+					assertReferences(data);
+					const cascades = checkIncomingReferences(data);
+					await persist(data);
+					pendingCascades.push(...cascades);
+					notifyListeners('write', exposedData);
+				} catch (err) {
+					dirty ||= wasDirty;
+					throw err;
 				}
-				await fs.writeFile(absPath, JSON.stringify(data, null, '\t'), encoding);
 			});
+
+			pendingWrite = writing;
+			try {
+				await writing;
+			} finally {
+				if (pendingWrite === writing) pendingWrite = null;
+			}
 		},
 
 		/**
-		 * Reload data from file
+		 * Write pending changes now instead of waiting for autosave, and wait for a write in progress. Does nothing
+		 * when there are none.
 		 * @returns {Promise<void>}
 		 */
-		async reload() {
-			await lock.run(async () => {
-				const newParsedData = await readAndParseJSON(absPath, encoding, defaultValue);
-				const newValidatedData = autoValidate ? validateAndCoerce(newParsedData, schema, '') : newParsedData;
-				updateDataRef(data, newValidatedData);
+		async flush() {
+			autosaveTask?.cancel();
+			// `dirty` is cleared as a write starts: changes it is writing are only saved once it is done
+			await pendingWrite?.catch(() => {});
+			if (dirty) await store.write();
+		},
+
+		/**
+		 * Stop autosaving and watching, remove the store from the registry and write pending changes.
+		 * The store can still be used manually afterwards.
+		 * @returns {Promise<void>}
+		 */
+		async close() {
+			closed = true;
+			watcher?.close();
+			unregisterStore(storeName, registryEntry);
+			await store.flush();
+		},
+
+		/**
+		 * Listen to a store event:
+		 * - `'beforeWrite'` — `write()` is about to validate and write `data`
+		 * - `'write'` — `write()` or `transaction()` wrote `data` to the file
+		 * - `'reload'` — `data` was reloaded from the file, by `reload()` or `watch`
+		 * - `'reset'` — `reset()` replaced `data` and wrote it
+		 * - `'restore'` — `restore()` loaded a snapshot into `data` and wrote it
+		 * - `'validationError'` — Validation failed in `write()`, `reload()`, `reset()` or `watch`
+		 * - `'change'` — The file was changed by someone else and `data` was reloaded (with `watch`)
+		 * - `'error'` — New file content is invalid (with `watch`, `data` keeps its last valid state), an autosave
+		 * failed, or a listener of `'write'`, `'reload'`, `'change'`, `'reset'` or `'restore'` threw
+		 *
+		 * @template {keyof StoreEventMap<any>} E
+		 * @param {E} event - Event name
+		 * @param {StoreEventMap<SchemaToType<S>>[E]} handler - Event handler
+		 */
+		on(event, handler) {
+			events.on(event, handler);
+		},
+
+		/**
+		 * Remove a handler added with `on`
+		 *
+		 * @template {keyof StoreEventMap<any>} E
+		 * @param {E} event - Event name
+		 * @param {StoreEventMap<SchemaToType<S>>[E]} handler - Event handler
+		 */
+		off(event, handler) {
+			events.off(event, handler);
+		},
+
+		/**
+		 * Call `callback` when data under `path` changes, e.g. `'settings.theme'` or `'users[*].email'`.
+		 * Fires for changes applied by `reload()`, `reset()`, `restore()`, `transaction()` and `watch`, and for changes
+		 * made through `data` when change tracking is enabled (`trackChanges` or `autosave`).
+		 *
+		 * @param {string} path - Path to watch, `'*'` matches any key or index, `''` matches everything
+		 * @param {(change: PathChange) => void} callback - Called once per changed path
+		 * @returns {() => void} Unsubscribe function
+		 */
+		subscribe(path, callback) {
+			const subscription = { pattern: parsePath(path), callback };
+			subscriptions.add(subscription);
+			return () => {
+				subscriptions.delete(subscription);
+			};
+		},
+
+		/**
+		 * Run `fn` on a deep copy of `data` under the file lock. When it resolves, the copy is validated, written
+		 * and applied to `data` in place. When it throws (or validation or the write fails), neither `data`
+		 * nor the file change.
+		 *
+		 * Don't call other methods of the store inside `fn`, they wait for the same lock.
+		 *
+		 * @template R
+		 * @param {(draft: SchemaToType<S>) => R | Promise<R>} fn - Mutates the draft
+		 * @returns {Promise<R>} What `fn` returned
+		 * @throws {SDOValidationError} When autoValidate is true (default) and the draft does not match schema
+		 */
+		async transaction(fn) {
+			return runLocked(async () => {
+				const draft = cloneValue(data);
+				const result = await fn(draft);
+
+				const next = autoValidate ? validateData(draft, 'Transaction validation failed') : draft;
+				await commit(next, 'transaction');
+				return result;
+			});
+		},
+
+		/**
+		 * Produce the next state from a deep copy of `data`, then validate, write and apply it in one step.
+		 * `fn` either mutates the draft (Immer style) or returns the next state.
+		 *
+		 * @param {(draft: SchemaToType<S>) => SchemaToType<S> | void | Promise<SchemaToType<S> | void>} fn - Producer
+		 * @returns {Promise<void>}
+		 * @throws {SDOValidationError} When autoValidate is true (default) and the next state does not match schema
+		 */
+		async update(fn) {
+			await runLocked(async () => {
+				const draft = cloneValue(data);
+				const returned = await fn(draft);
+				const next = returned === undefined ? draft : returned;
+
+				await commit(autoValidate ? validateData(next, 'Update validation failed') : next, 'update');
 			});
 		},
 
+		/**
+		 * Read the value at a path, e.g. `'users[2].email'`. `undefined` when any part of the path is missing.
+		 *
+		 * @param {string} path - Path without wildcards, `''` for the whole data
+		 * @param {{ populate?: string[] }} [readOptions] - `populate`: References to resolve, relative to `path`
+		 * (see `populate()`)
+		 * @returns {any}
+		 */
+		get(path, readOptions = {}) {
+			const segments = parseConcretePath(path);
+			const value = getAtPath(exposedData, segments);
+			return readOptions.populate ? createPopulator(segments, readOptions.populate)(value) : value;
+		},
+
+		/**
+		 * Resolve references (`SDO.ref()`) in a value read from this store, e.g. `populate('posts[*]', posts, ['authorId'])`.
+		 * Returns a copy where each reference is replaced by a copy of the item it points to in the referenced store,
+		 * or `null` when that item doesn't exist.
+		 *
+		 * @param {string} path - Where `value` was read from, `'*'` for every item of an array
+		 * @param {any} value - Value read from the data
+		 * @param {string[]} fields - References to resolve relative to `value`, e.g. `'authorId'`, `'tagIds'`
+		 * (an array of references) or `'comments[*].userId'`
+		 * @returns {any}
+		 * @throws {TypeError} When a field is not a reference in the schema
+		 * @throws {Error} When a referenced store is not open
+		 */
+		populate(path, value, fields) {
+			return createPopulator(parsePath(path), fields)(value);
+		},
+
+		/**
+		 * Set the value at a path, then validate, write and apply the next state in one step. Array items can be set
+		 * up to the current length (appending).
+		 *
+		 * @param {string} path - Path without wildcards, e.g. `'settings.theme'` or `'users[2].email'`
+		 * @param {any} value - New value
+		 * @returns {Promise<void>}
+		 * @throws {TypeError} When the schema doesn't declare the path
+		 * @throws {SDOValidationError} When autoValidate is true (default) and the result does not match schema
+		 */
+		async set(path, value) {
+			const segments = parseConcretePath(path);
+
+			await runLocked(async () => {
+				if (segments.length === 0) {
+					const next = cloneValue(value);
+					return commit(autoValidate ? validateData(next, 'Update validation failed') : next, 'update');
+				}
+
+				await commitAtPath(segments, (parent, key) => {
+					if (Array.isArray(parent) && (typeof key !== 'number' || key > parent.length)) {
+						throw new Error(`Cannot set '${path}': invalid array index (length ${parent.length})`);
+					}
+					parent[key] = cloneValue(value);
+				});
+			});
+		},
+
+		/**
+		 * Remove the value at a path, then validate, write and apply it in one step. Array items are spliced out;
+		 * required fields fall back to their default, like missing fields in the file.
+		 *
+		 * @param {string} path - Path without wildcards, e.g. `'users[2]'` or `'settings.legacyFlag'`
+		 * @returns {Promise<void>}
+		 * @throws {TypeError} When the schema doesn't declare the path
+		 * @throws {SDOValidationError} When autoValidate is true (default) and the result does not match schema
+		 */
+		async delete(path) {
+			const segments = parseConcretePath(path);
+			if (segments.length === 0) throw new TypeError('Cannot delete the root of the data');
+
+			await runLocked(() =>
+				commitAtPath(segments, (parent, key) => {
+					if (Array.isArray(parent)) {
+						if (typeof key === 'number' && key < parent.length) parent.splice(key, 1);
+					} else {
+						delete parent[key];
+					}
+				})
+			);
+		},
+
+		/**
+		 * Work with an array of objects in the data as a collection with a primary key. Changes run as
+		 * transactions: validated, written and rolled back on failure.
+		 *
+		 * @template {string} P
+		 * @param {P} path - Path of an array of objects declared in the schema, e.g. `'users'`
+		 * @param {import('./helpers/collection.js').CollectionOptions} [collectionOptions]
+		 * @returns {import('./helpers/collection.js').Collection<P extends keyof SchemaToType<S> ? ItemOf<SchemaToType<S>[P]> : any>}
+		 * @throws {TypeError} When the schema does not declare an array at `path`, or `primaryKey` on its items
+		 */
+		collection(path, collectionOptions = {}) {
+			const { primaryKey = 'id' } = collectionOptions;
+			const segments = parseConcretePath(path);
+
+			const itemPath = [...segments, 0];
+			if (resolveSchemaPath(/** @type {AnySchema} */ (schema), itemPath).depth !== itemPath.length) {
+				throw new TypeError(`Cannot create collection: '${path}' is not an array in the schema`);
+			}
+
+			// Validation would strip an undeclared key, so inserted items could not be found again
+			const keyPath = [...itemPath, primaryKey];
+			const key = resolveSchemaPath(/** @type {AnySchema} */ (schema), keyPath);
+			if (key.depth !== keyPath.length) {
+				throw new TypeError(`Cannot create collection: '${primaryKey}' is not declared on the items of '${path}'`);
+			}
+
+			// Generate UUIDs for string keys and numbers otherwise, unless configured
+			let { autoId } = collectionOptions;
+			if (autoId === undefined) {
+				const keySchema = isFieldDescriptor(key.schema) ? key.schema.type : key.schema;
+				autoId = typeof keySchema === 'string' && keySchema.startsWith('string') ? 'uuid' : 'increment';
+			}
+
+			return createCollection(store, path, segments, { primaryKey, autoId, indexes, lastIds: collectionLastIds });
+		},
+
+		/**
+		 * Query an array of objects declared in the schema with filters, sorting, pagination and projection.
+		 * Field names are checked against the schema.
+		 *
+		 * @template {string} P
+		 * @param {P} path - Path of an array of objects, e.g. `'users'`
+		 * @param {{ primaryKey?: string }} [queryOptions] - `primaryKey` (default `'id'`) breaks sort ties, so cursors
+		 * are stable
+		 * @returns {import('./helpers/query.js').Query<P extends keyof SchemaToType<S> ? ItemOf<SchemaToType<S>[P]> : any>}
+		 * @throws {TypeError} When the schema does not declare an array at `path`
+		 */
+		query(path, queryOptions = {}) {
+			const { primaryKey = 'id' } = queryOptions;
+			const segments = parseConcretePath(path);
+			const itemPath = [...segments, 0];
+			if (resolveSchemaPath(/** @type {AnySchema} */ (schema), itemPath).depth !== itemPath.length) {
+				throw new TypeError(`Cannot query '${path}': not an array in the schema`);
+			}
+
+			/** @type {import('./helpers/query.js').FieldTypeResolver} */
+			const fieldType = (field) => {
+				const fieldPath = [...itemPath, ...field];
+				const resolved = resolveSchemaPath(/** @type {AnySchema} */ (schema), fieldPath);
+				return resolved.depth === fieldPath.length ? primitiveTypeOf(resolved.schema) : undefined;
+			};
+
+			return createQuery(
+				() => store.get(path) ?? [],
+				path,
+				fieldType,
+				fieldType([primaryKey]) === undefined ? undefined : primaryKey,
+				(fields) => createPopulator([...segments, '*'], fields)
+			);
+		},
+
+		/**
+		 * Reload data from file, migrating it in memory if it was stored at an older version
+		 * @returns {Promise<void>}
+		 */
+		async reload() {
+			await lock.run(reloadFromFile);
+		},
+
 		/**
 		 * Reset data to initial state and write to file
 		 * @param {SchemaToType<S>} [newDefault] - Optional new init data to use instead of original
 		 */
 		async reset(newDefault) {
-			await lock.run(async () => {
+			await runLocked(async () => {
 				const resetValue = newDefault !== undefined ? newDefault : defaultValue;
-				const resetValidatedData = autoValidate ? validateAndCoerce(resetValue, schema, '') : resetValue;
-				updateDataRef(data, resetValidatedData);
+				const resetValidatedData = autoValidate ? validateData(resetValue) : resetValue;
+				assertUniqueIndexes(resetValidatedData);
+				assertReferences(resetValidatedData);
+				const cascades = checkIncomingReferences(resetValidatedData);
+
+				const changedPaths = applyData(resetValidatedData);
 
 				// Write reset data to file
-				await fs.writeFile(absPath, JSON.stringify(data, null, '\t'), encoding);
+				await persist(data);
+				pendingCascades.push(...cascades);
+				dirty = false;
+
+				notifyListeners('reset', exposedData);
+				notifySubscribers(changedPaths, 'reset');
+			});
+		},
+
+		/**
+		 * List the snapshots taken with `options.backup`, newest first
+		 *
+		 * @returns {Promise<import('./helpers/backups.js').Snapshot[]>}
+		 * @throws {Error} When backups are not enabled
+		 */
+		async snapshots() {
+			if (!backups) throw new Error(`Backups are not enabled for ${absPath}, set options.backup`);
+			return backups.list();
+		},
+
+		/**
+		 * Load a snapshot taken with `options.backup`, migrating and validating it, then write it and apply it
+		 * to `data` in place. The current file is backed up first, so a restore can be undone too.
+		 *
+		 * @param {string} snapshotId - ID from `snapshots()`
+		 * @returns {Promise<void>}
+		 * @throws {Error} When backups are not enabled or the snapshot doesn't exist
+		 * @throws {SDOValidationError} When autoValidate is true (default) and the snapshot does not match schema
+		 */
+		async restore(snapshotId) {
+			if (!backups) throw new Error(`Backups are not enabled for ${absPath}, set options.backup`);
+			const snapshotPath = backups.pathOf(snapshotId);
+
+			await runLocked(async () => {
+				const exists = await storage.exists(snapshotPath);
+				if (!exists) throw new Error(`Snapshot not found: ${snapshotId}`);
+
+				const { data: snapshotData } = await readDocument(snapshotPath);
+				const context = `Snapshot ${snapshotId} validation failed`;
+				await commit(autoValidate ? validateData(snapshotData, context) : snapshotData, 'restore');
+				notifyListeners('restore', exposedData, snapshotId);
+			});
+		},
+
+		/**
+		 * Write everything held by the write-ahead log (`options.wal`) into the file and clear the log.
+		 * Does nothing without `wal`.
+		 * @returns {Promise<void>}
+		 */
+		async compact() {
+			if (!log) return;
+			await lock.run(async () => {
+				if (log.ops > 0) await writeDocument(walPersisted);
+			});
+		},
+
+		/**
+		 * Re-encrypt the file with a new key (`options.encryption`) under the lock, then keep using that key.
+		 * The file content is kept as is, pending changes are not written. Its copies on disk (snapshots of
+		 * `options.backup`, migration backups) are re-encrypted too, since the old key may have leaked.
+		 *
+		 * @param {import('./helpers/encryption.js').EncryptionKey} newKey - 32 bytes, or a hex or base64 string
+		 * @returns {Promise<void>}
+		 * @throws {Error} When encryption is not enabled, or the file or a copy can't be decrypted with the current
+		 * key. Nothing is rewritten then.
+		 * @throws {TypeError} When the new key is not 32 bytes
+		 */
+		async rotateKey(newKey) {
+			if (!cipher) throw new Error(`Encryption is not enabled for ${absPath}, set options.encryption`);
+			const current = cipher;
+			const next = current.withKey(newKey);
+
+			await lock.run(async () => {
+				// Other storages can't list their files, so only the file itself is known there
+				const snapshots = backups ? await backups.list() : [];
+				const copies = isLocalStorage
+					? [...snapshots.map((snapshot) => snapshot.path), ...(await listMigrationBackups(absPath))]
+					: [];
+
+				// Decrypt everything first, so a copy under another key fails the rotation before any write
+				const decrypted = [];
+				for (const filePath of [absPath, ...copies]) {
+					const raw = /** @type {string} */ (await readContent(storage, filePath, false, encoding));
+					// Empty files hold no data, copies taken before encryption was enabled hold no key
+					if (!raw.trim() || (filePath !== absPath && !isEncrypted(raw))) continue;
+					decrypted.push({ filePath, plaintext: current.decrypt(raw, filePath) });
+				}
+
+				for (const { filePath, plaintext } of decrypted) {
+					const content = next.encrypt(plaintext, encoding);
+					if (filePath === absPath) lastContent = content;
+					await storage.write(filePath, content, { encoding, durability });
+				}
+				cipher = next;
 			});
 		},
 	};
+
+	/** @type {import('./helpers/registry.js').RegisteredStore} */
+	const registryEntry = {
+		store,
+		checkRefs,
+		refs: refSchemas,
+		references: (root = data) => collectReferences(root, /** @type {AnySchema} */ (schema)),
+		check: (change) => {
+			const draft = cloneValue(data);
+			change(draft);
+			const next = autoValidate ? validateData(draft, 'Cascade validation failed') : draft;
+			assertUniqueIndexes(next);
+			assertReferences(next);
+		},
+	};
+	if (registered) registerStore(storeName, registryEntry);
+
+	return store;
 }
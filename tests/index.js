@@ -7,6 +7,9 @@
 import SDO from '../src/index.js';
 
 import path from 'path';
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -22,6 +25,30 @@ await exampleNestedArrays();
 await exampleReload();
 await exampleValidation();
 await exampleReset();
+await exampleExtendedTypes();
+await exampleUnions();
+await exampleRecords();
+await exampleUnknownKeys();
+await exampleFieldDescriptors();
+await exampleMigrations();
+await exampleAutosave();
+await exampleWatch();
+await exampleEvents();
+await exampleTransactions();
+await examplePathUpdates();
+await exampleCollections();
+await exampleQueries();
+await exampleIndexes();
+await exampleReferences();
+await exampleBackups();
+await exampleWriteAheadLog();
+await exampleRootSchemas();
+await exampleFormats();
+await exampleOutputFormatting();
+await exampleStorageAdapters();
+await exampleEncryption();
+await exampleLocking();
+await exampleAtomicWrites();
 
 /**
  * Example 1: Basic object storage with schema defaults
@@ -206,9 +233,17 @@ async function exampleValidation() {
 			default: { text: 123, num: 'abc' },
 		});
 	} catch (error) {
+		// Every failing field is reported, not only the first one
 		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		if (error instanceof SDO.SDOValidationError) {
+			console.log('Issue paths:', error.issues.map((issue) => issue.path));
+		}
 	}
 
+	// Non-throwing validation
+	const result = SDO.validate({ text: 'string', num: 'number' }, { text: 'ok', num: '42' });
+	console.log('SDO.validate result:', result.ok, result.issues);
+
 	// Without validation
 	console.log('Testing with validation disabled:');
 	const lenientData = await SDO.create(
@@ -255,3 +290,967 @@ async function exampleReset() {
 	console.log('Reset with new values:', settings.data);
 	console.log();
 }
+
+/**
+ * Example 8: Integer, date, null, any, enum and literal types
+ */
+async function exampleExtendedTypes() {
+	console.log('Example 8: Extended types');
+
+	const article = await SDO.create({
+		file: path.join(storageDir, 'article.json'),
+		schema: {
+			kind: SDO.literal('article'), // always "article"
+			status: SDO.enum('draft', 'published'), // defaults to "draft"
+			views: 'integer', // defaults to 0, rejects 1.5
+			publishedAt: 'date?', // ISO string in file, Date in memory
+			deletedAt: 'null', // defaults to null
+			meta: 'any', // anything JSON-serializable, defaults to null
+		},
+	});
+
+	console.log('Initial data:', article.data);
+
+	article.data.status = 'published';
+	article.data.views = 10;
+	article.data.publishedAt = new Date('2024-05-01T10:00:00.000Z');
+	article.data.meta = { source: 'import' };
+	await article.write();
+
+	await article.reload();
+	console.log('Reloaded publishedAt is a Date:', article.data.publishedAt instanceof Date);
+
+	try {
+		// @ts-expect-error: Not one of the enum values
+		article.data.status = 'archived';
+		await article.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		article.data.status = 'published';
+	}
+	console.log();
+}
+
+/**
+ * Example 9: Union, nullable and discriminated union types
+ */
+async function exampleUnions() {
+	console.log('Example 9: Union types');
+
+	const feed = await SDO.create({
+		file: path.join(storageDir, 'feed.json'),
+		schema: {
+			id: SDO.union('string', 'number'),
+			pinned: SDO.nullable({ title: 'string' }), // defaults to null
+			items: [
+				SDO.discriminated('type', {
+					text: { body: 'string' },
+					image: { url: 'string', width: 'number' },
+				}),
+			],
+		},
+		default: { id: 'feed-1', pinned: null, items: [] },
+	});
+
+	feed.data.pinned = { title: 'Welcome' };
+	feed.data.items.length = 0;
+	feed.data.items.push({ type: 'text', body: 'Hello' }, { type: 'image', url: '/cat.png', width: 640 });
+	await feed.write();
+	console.log('Feed data:', JSON.stringify(feed.data));
+
+	try {
+		// @ts-expect-error: Not a union member
+		feed.data.id = true;
+		await feed.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		feed.data.id = 'feed-1';
+	}
+
+	try {
+		// @ts-expect-error: Unknown tag
+		feed.data.items.push({ type: 'video', src: '/cat.mp4' });
+		await feed.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		feed.data.items.pop();
+	}
+
+	// Object members match as they are first: `{ command }` is not a link with an empty url
+	const actionSchema = { action: SDO.union({ url: 'string' }, { command: 'string' }) };
+	const action = SDO.validate(actionSchema, { action: { command: 'open' } });
+	console.log('Action:', JSON.stringify(action.value));
+	console.log();
+}
+
+/**
+ * Example 10: Records with dynamic keys
+ */
+async function exampleRecords() {
+	console.log('Example 10: Records');
+
+	const directory = await SDO.create({
+		file: path.join(storageDir, 'directory.json'),
+		schema: {
+			usersById: SDO.record({ name: 'string', email: 'string' }, /^u-\d+$/), // defaults to {}
+			tagCounts: SDO.record('integer'),
+		},
+	});
+
+	directory.data.usersById['u-1'] = { name: 'Alice', email: 'alice@example.com' };
+	directory.data.usersById['u-2'] = { name: 'Bob', email: 'bob@example.com' };
+	directory.data.tagCounts.urgent = 3;
+	await directory.write();
+
+	await directory.reload();
+	console.log('Reloaded records:', directory.data);
+
+	try {
+		directory.data.usersById['admin'] = { name: 'Root', email: 'root@example.com' };
+		await directory.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		delete directory.data.usersById['admin'];
+	}
+	console.log();
+}
+
+/**
+ * Example 11: Unknown keys policies
+ */
+async function exampleUnknownKeys() {
+	console.log('Example 11: Unknown keys');
+
+	const shared = await SDO.create(
+		{
+			file: path.join(storageDir, 'shared.json'),
+			schema: {
+				name: 'string',
+				// Keys added by other tools are kept in this object only
+				plugins: SDO.object({ enabled: 'boolean' }, { unknownKeys: 'passthrough' }),
+				// No policy of its own: follows the store-wide one
+				owner: SDO.object({ id: 'string' }),
+			},
+		},
+		{ unknownKeys: 'error' } // Store-wide: reject undeclared keys everywhere else
+	);
+
+	shared.data.plugins.theme = 'dark'; // typed as unknown, kept on write
+	await shared.write();
+	console.log('Data with passthrough keys:', shared.data);
+
+	try {
+		// @ts-expect-error: Not declared in the schema
+		shared.data.extra = true;
+		await shared.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		// @ts-expect-error
+		delete shared.data.extra;
+	}
+
+	try {
+		// @ts-expect-error: Not declared in the schema
+		shared.data.owner.nickname = 'Al';
+		await shared.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		// @ts-expect-error
+		delete shared.data.owner.nickname;
+	}
+	console.log();
+}
+
+/**
+ * Example 12: Field defaults and constraints
+ */
+async function exampleFieldDescriptors() {
+	console.log('Example 12: Field descriptors');
+
+	const shop = await SDO.create({
+		file: path.join(storageDir, 'shop.json'),
+		schema: {
+			volume: { type: 'number', default: 10, min: 0, max: 100 },
+			slug: { type: 'string', default: 'my-shop', pattern: /^[a-z0-9-]+$/, maxLength: 32 },
+			// Not a descriptor: min holds a schema, not a number, so this is an object with fields type and min
+			filter: { type: 'string', min: 'number' },
+			products: [
+				{
+					name: { type: 'string', minLength: 1 },
+					stock: { type: 'integer', default: 1, min: 0 }, // filled in when missing
+					tags: { type: ['string'], unique: true, maxItems: 5 },
+				},
+			],
+		},
+	});
+
+	console.log('Initial data:', shop.data);
+
+	shop.data.filter = { type: 'price', min: 5 };
+
+	// @ts-expect-error: stock omitted on purpose, the schema default fills it in on reload
+	shop.data.products.push({ name: 'Tea', tags: ['drink'] });
+	await shop.write();
+	await shop.reload();
+	console.log('Product with default stock:', shop.data.products[shop.data.products.length - 1]);
+
+	try {
+		shop.data.volume = 150;
+		shop.data.products[0].tags.push('drink');
+		await shop.write();
+	} catch (error) {
+		console.log('Expected validation error:', /** @type {Error} */ (error).message);
+		await shop.reload();
+	}
+	console.log();
+}
+
+/**
+ * Example 13: Versioned schema migrations
+ */
+async function exampleMigrations() {
+	console.log('Example 13: Migrations');
+
+	// Simulate a file written by an old version of the app (no $version key = version 0)
+	const file = path.join(storageDir, 'profile-versioned.json');
+	await fs.writeFile(file, JSON.stringify({ fullName: 'Ada Lovelace' }));
+
+	const profile = await SDO.create({
+		file,
+		schema: { firstName: 'string', lastName: 'string', tags: ['string'] },
+		version: 2,
+		migrations: {
+			// v0 -> v1: split fullName
+			0: (data) => {
+				const [firstName = '', lastName = ''] = data.fullName.split(' ');
+				return { firstName, lastName };
+			},
+			// v1 -> v2: add tags
+			1: (data) => ({ ...data, tags: [] }),
+		},
+	});
+
+	console.log('Migrated data:', profile.data);
+	console.log('File content:', await fs.readFile(file, 'utf8'));
+
+	// The file was backed up before migrating: remove the backups, so they don't pile up across runs
+	const backups = (await fs.readdir(storageDir)).filter((name) => name.startsWith(`${path.basename(file)}.v`));
+	console.log('Migration backups:', backups.length);
+	await Promise.all(backups.map((name) => fs.rm(path.join(storageDir, name))));
+	console.log();
+}
+
+/**
+ * Example 14: Autosave, dirty tracking and flush on close
+ */
+async function exampleAutosave() {
+	console.log('Example 14: Autosave');
+
+	const editor = await SDO.create(
+		{
+			file: path.join(storageDir, 'editor.json'),
+			schema: { title: 'string', lines: ['string'] },
+		},
+		{ autosave: { debounceMs: 50, maxWaitMs: 500 } }
+	);
+
+	// No write() needed, changes are saved shortly after the last edit
+	editor.data.title = 'Draft';
+	editor.data.lines.push(`Edited at ${new Date().toISOString()}`);
+	console.log('Dirty after edit:', editor.isDirty);
+
+	await new Promise((resolve) => setTimeout(resolve, 100));
+	console.log('Dirty after debounce:', editor.isDirty);
+
+	// Write pending changes and stop autosaving, e.g. before the process exits
+	editor.data.title = 'Final';
+	await editor.close();
+	console.log('Dirty after close:', editor.isDirty);
+	console.log();
+}
+
+/**
+ * Example 15: Reload changes made to the file by others
+ */
+async function exampleWatch() {
+	console.log('Example 15: Watch');
+
+	// Not Example 7's settings.json: its schema is different
+	const file = path.join(storageDir, 'watched-settings.json');
+	const settings = await SDO.create(
+		{
+			file,
+			schema: { theme: 'string', fontSize: 'number' },
+			default: { theme: 'light', fontSize: 14 },
+		},
+		{ watch: true }
+	);
+	const wait = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+	settings.on('change', (data) => console.log('File changed:', data));
+	settings.on('error', (error) => console.log('Invalid file, keeping last good data:', error.message));
+
+	// Simulate an admin editing the file by hand
+	await fs.writeFile(file, JSON.stringify({ theme: 'dark', fontSize: 16 }));
+	await wait();
+
+	await fs.writeFile(file, JSON.stringify({ theme: 'dark', fontSize: 'big' }));
+	await wait();
+	console.log('Current data:', settings.data);
+
+	// Restore and stop watching
+	await settings.reset({ theme: 'light', fontSize: 14 });
+	await settings.close();
+	console.log();
+}
+
+/**
+ * Example 16: Store events and path subscriptions
+ */
+async function exampleEvents() {
+	console.log('Example 16: Events & Subscriptions');
+
+	const team = await SDO.create(
+		{
+			file: path.join(storageDir, 'team.json'),
+			schema: { name: 'string', members: [{ name: 'string', email: 'string' }] },
+		},
+		{ trackChanges: true }
+	);
+
+	team.on('write', () => console.log('Written to file'));
+	team.on('validationError', (error) => console.log('Validation failed:', error.issues.length, 'issue(s)'));
+
+	// Fires for in-memory changes (with trackChanges), reload() and reset()
+	const unsubscribe = team.subscribe('members[*].email', ({ path, value, source }) => {
+		console.log(`Email changed (${source}): ${path} =`, value);
+	});
+
+	await team.reset({ name: 'Core', members: [{ name: 'Alice', email: 'alice@example.com' }] });
+	team.data.members[0].email = 'alice@company.com';
+	team.data.name = 'Core team'; // Not under members[*].email, no callback
+	await team.write();
+
+	unsubscribe();
+
+	// @ts-expect-error - Wrong type on purpose
+	team.data.members[0].email = 42;
+	await team.write().catch(() => {});
+	team.data.members[0].email = 'alice@company.com';
+
+	// A failing listener can't undo the write: write() resolves and the error goes to 'error'
+	const failingListener = () => {
+		throw new Error('Listener failed');
+	};
+	team.on('write', failingListener);
+	team.on('error', (error) => console.log('Reported:', error.message));
+	await team.write();
+	team.off('write', failingListener);
+	console.log();
+}
+
+/**
+ * Example 17: Atomic transactions with rollback
+ */
+async function exampleTransactions() {
+	console.log('Example 17: Transactions');
+
+	const bank = await SDO.create({
+		file: path.join(storageDir, 'bank.json'),
+		schema: { accounts: SDO.record('number'), transfers: ['string'] },
+		default: { accounts: { alice: 100, bob: 50 }, transfers: [] },
+	});
+
+	/**
+	 * @param {string} from
+	 * @param {string} to
+	 * @param {number} amount
+	 */
+	const transfer = (from, to, amount) =>
+		bank.transaction((draft) => {
+			draft.accounts[from] -= amount;
+			draft.accounts[to] += amount;
+			draft.transfers.push(`${from} -> ${to}: ${amount}`);
+
+			// Throwing rolls back everything, in memory and on disk
+			if (draft.accounts[from] < 0) throw new Error(`Insufficient funds: ${from}`);
+			return draft.accounts[from];
+		});
+
+	console.log('Alice balance after transfer:', await transfer('alice', 'bob', 30));
+
+	try {
+		await transfer('bob', 'alice', 1000);
+	} catch (error) {
+		console.log('Transfer failed:', /** @type {Error} */ (error).message);
+	}
+
+	console.log('Accounts:', bank.data.accounts);
+	await bank.reset();
+	console.log();
+}
+
+/**
+ * Example 18: update(), get(), set() and delete() by path
+ */
+async function examplePathUpdates() {
+	console.log('Example 18: Update & Path Helpers');
+
+	const app = await SDO.create({
+		file: path.join(storageDir, 'app-state.json'),
+		schema: {
+			settings: { theme: SDO.enum('light', 'dark'), fontSize: { type: 'integer', min: 8, max: 32, default: 14 } },
+			users: [{ name: 'string', email: 'string' }],
+		},
+	});
+
+	// Each call validates, writes and applies in one step
+	await app.set('settings.theme', 'dark');
+	await app.set('users', [{ name: 'Alice', email: 'alice@example.com' }]);
+	await app.set('users[1]', { name: 'Bob', email: 'bob@example.com' });
+	console.log('Second user email:', app.get('users[1].email'));
+
+	try {
+		await app.set('settings.fontSize', 100);
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+
+	try {
+		// Would be stripped on write
+		await app.set('users[0].nickname', 'Al');
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+
+	await app.delete('users[0]');
+
+	// Mutate the draft, or return the next state
+	await app.update((draft) => {
+		draft.settings.fontSize = 16;
+	});
+	await app.update((draft) => ({ ...draft, users: [] }));
+
+	console.log('State:', app.data);
+	console.log();
+}
+
+/**
+ * Example 19: Collections with primary keys
+ */
+async function exampleCollections() {
+	console.log('Example 19: Collections');
+
+	const db = await SDO.create({
+		file: path.join(storageDir, 'todos.json'),
+		schema: { todos: [{ id: 'integer', text: 'string', completed: 'boolean' }] },
+	});
+	const todos = db.collection('todos');
+
+	// Start from a clean list on every run
+	await todos.remove(() => true);
+
+	const first = await todos.insert({ text: 'Write docs' }); // id generated: 1
+	await todos.insertMany([{ text: 'Review PR' }, { text: 'Release', completed: true }]);
+	console.log('Inserted:', first);
+
+	await todos.update({ id: first.id }, { completed: true });
+	console.log('Completed:', todos.count({ completed: true }), '/', todos.count());
+	console.log('Find by id:', todos.findById(2));
+
+	try {
+		await todos.insert({ id: 2, text: 'Duplicate' });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+
+	console.log('Removed:', await todos.remove({ completed: true }));
+	console.log('Remaining:', todos.find());
+
+	// The removed item 3 had the highest id, which is not handed out again
+	const next = await db.collection('todos').insert({ text: 'Plan next release' });
+	console.log('Next id:', next.id);
+
+	try {
+		db.collection('todos', { primaryKey: 'sku' });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}
+
+/**
+ * Example 20: Queries with filters, sorting and pagination
+ */
+async function exampleQueries() {
+	console.log('Example 20: Queries');
+
+	const db = await SDO.create({
+		file: path.join(storageDir, 'members.json'),
+		schema: {
+			members: [{ id: 'integer', name: 'string', age: 'integer', role: SDO.enum('user', 'admin'), joinedAt: 'date' }],
+		},
+	});
+	const members = db.collection('members');
+
+	await members.remove(() => true);
+	await members.insertMany(
+		['Alice', 'Bob', 'Carol', 'Dave', 'Eve'].map((name, index) => ({
+			name,
+			age: 20 + index * 5,
+			role: index % 2 === 0 ? 'user' : 'admin',
+			joinedAt: new Date(Date.UTC(2024, index, 1)),
+		}))
+	);
+
+	// Filter values from a query string are converted to the field types
+	const adults = db
+		.query('members')
+		.where({ age: { $gte: '25' }, $or: [{ role: 'admin' }, { name: { $regex: '^C' } }] })
+		.sort('-age')
+		.select(['name', 'age']);
+	console.log('Filtered:', adults.toArray());
+
+	// A global RegExp matches every item, not every other one
+	const namePattern = /a/gi;
+	console.log('Names with an a:', db.query('members').where({ name: { $regex: namePattern } }).count());
+
+	// Cursor pagination
+	const byJoinDate = db.query('members').sort({ joinedAt: 1 }).limit(2);
+	let page = byJoinDate.page();
+	console.log('Page 1:', page.items.map((member) => member.name));
+	page = byJoinDate.after(page.nextCursor).page();
+	console.log('Page 2:', page.items.map((member) => member.name));
+
+	try {
+		db.query('members').where({ email: 'alice@example.com' });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}
+
+/**
+ * Example 21: Hash indexes and unique fields
+ */
+async function exampleIndexes() {
+	console.log('Example 21: Indexes');
+
+	const shop = await SDO.create(
+		{
+			file: path.join(storageDir, 'orders.json'),
+			schema: { orders: [{ id: 'integer', number: 'string', customerId: 'integer', status: SDO.enum('new', 'paid') }] },
+		},
+		{ indexes: { orders: ['id', 'customerId', { field: 'number', unique: true }] } } // turn on trackChanges
+	);
+	const orders = shop.collection('orders');
+
+	await orders.remove(() => true);
+	await orders.insertMany(
+		Array.from({ length: 1000 }, (_, index) => ({
+			number: `ORD-${index}`,
+			customerId: index % 50,
+			status: index % 3 === 0 ? 'paid' : 'new',
+		}))
+	);
+
+	// Hash lookups instead of scanning all orders
+	console.log('Orders of customer 7:', orders.count({ customerId: 7 }));
+	console.log('Paid orders of customer 7:', orders.find({ customerId: 7, status: 'paid' }).length);
+	console.log('Order 42:', orders.findById(42)?.number);
+
+	try {
+		await orders.insert({ number: 'ORD-1', customerId: 1 });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+
+	try {
+		// Lookups couldn't see changes made through shop.data
+		await SDO.create(
+			{ file: path.join(storageDir, 'orders.json'), schema: { orders: [{ customerId: 'integer' }] } },
+			{ trackChanges: false, indexes: { orders: ['customerId'] } }
+		);
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}
+
+/**
+ * Example 22: References between stores, populate and cascades
+ */
+async function exampleReferences() {
+	console.log('Example 22: References Between Stores');
+
+	const users = await SDO.create({
+		file: path.join(storageDir, 'blog-users.json'),
+		name: 'users',
+		schema: { users: [{ id: 'integer', name: 'string' }] },
+	});
+	const blog = await SDO.create(
+		{
+			file: path.join(storageDir, 'blog-posts.json'),
+			name: 'posts',
+			schema: {
+				posts: [
+					{
+						id: 'integer',
+						title: 'string',
+						// Removing a user removes their posts and their likes
+						authorId: SDO.ref('users', 'id', { onDelete: 'cascade' }),
+						likedBy: [SDO.ref('users', 'id', { onDelete: 'cascade' })],
+					},
+				],
+			},
+		},
+		{ checkRefs: true }
+	);
+	const posts = blog.collection('posts');
+
+	await posts.remove(() => true);
+	await users.update(() => ({ users: [] }));
+	const [alice, bob] = await users.collection('users').insertMany([{ name: 'Alice' }, { name: 'Bob' }]);
+	await posts.insertMany([
+		{ title: 'Hello', authorId: alice.id, likedBy: [bob.id] },
+		{ title: 'Second post', authorId: bob.id, likedBy: [] },
+	]);
+
+	console.log('Populated:', posts.findById(1, { populate: ['authorId', 'likedBy'] }));
+	console.log('With authors:', blog.query('posts').populate(['authorId']).select(['title', 'authorId']).toArray());
+
+	try {
+		await posts.insert({ title: 'Ghost post', authorId: 42, likedBy: [] });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+
+	await users.collection('users').remove({ id: bob.id });
+	console.log('Posts after removing Bob:', blog.data.posts);
+
+	// Items removed directly from the data cascade too, once written
+	const carol = await users.collection('users').insert({ name: 'Carol' });
+	await posts.insert({ title: 'By Carol', authorId: carol.id, likedBy: [] });
+	users.data.users = users.data.users.filter((user) => user.id !== carol.id);
+	await users.write();
+	console.log('Posts after removing Carol:', blog.data.posts.map((post) => post.title));
+
+	try {
+		await SDO.create({ file: path.join(storageDir, 'archive.json'), name: 'users', schema: { users: ['string'] } });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}
+
+/**
+ * Example 23: Backups, snapshots and restore
+ */
+async function exampleBackups() {
+	console.log('Example 23: Backups & Snapshots');
+
+	const notes = await SDO.create(
+		{ file: path.join(storageDir, 'notes.json'), schema: { notes: ['string'] } },
+		{ backup: { keep: 5, dir: path.join(storageDir, 'backups') } }
+	);
+
+	await notes.update(() => ({ notes: ['Buy milk'] }));
+	await notes.update((draft) => {
+		draft.notes.push('Call Bob');
+	});
+
+	// Oops: someone wipes the list
+	await notes.reset();
+	console.log('After reset:', notes.data.notes);
+
+	// The newest snapshot is the file as it was right before the reset
+	const [latest] = await notes.snapshots();
+	await notes.restore(latest.id);
+	console.log('Restored', latest.id, '->', notes.data.notes);
+	console.log('Snapshots kept:', (await notes.snapshots()).length);
+	console.log();
+}
+
+/**
+ * Example 24: Write-ahead log and compaction
+ */
+async function exampleWriteAheadLog() {
+	console.log('Example 24: Write-Ahead Log');
+
+	const file = path.join(storageDir, 'activity.json');
+	const config = { file, schema: SDO.schema({ events: [{ at: 'date', type: 'string' }] }) };
+	const activity = await SDO.create(config, { wal: { maxOps: 100 } });
+	await activity.reset();
+
+	// Each write appends a small patch to activity.json.log instead of rewriting the file
+	for (const type of ['login', 'view', 'logout']) {
+		await activity.update((draft) => {
+			draft.events.push({ at: new Date(), type });
+		});
+	}
+	console.log('Log:', (await fs.readFile(`${file}.log`, 'utf8')).trim().split('\n').length, 'lines');
+
+	// Opening the file again, as on the next start, replays the log
+	await activity.close();
+	const reopened = await SDO.create(config, { wal: true });
+	console.log('Replayed:', reopened.data.events.map((event) => event.type));
+
+	// Fold the log into the file
+	await reopened.compact();
+	const logExists = await fs.access(`${file}.log`).then(
+		() => true,
+		() => false
+	);
+	console.log('Log after compact:', logExists ? 'exists' : 'removed');
+	console.log();
+}
+
+/**
+ * Example 25: Top-level arrays and primitives
+ */
+async function exampleRootSchemas() {
+	console.log('Example 25: Top-Level Arrays & Primitives');
+
+	// The whole file is an array of objects
+	const todoSchema = SDO.schema([{ id: 'integer', title: 'string', done: 'boolean' }]);
+	const todos = await SDO.create({ file: path.join(storageDir, 'todo-list.json'), schema: todoSchema });
+	await todos.reset([{ id: 1, title: 'Write docs', done: false }]);
+
+	const first = todos.data[0];
+	await todos.update((draft) => {
+		draft[0].done = true;
+		draft.push({ id: 2, title: 'Ship it', done: false });
+	});
+	console.log('Todos:', todos.data);
+	console.log('Same item object after update:', first === todos.data[0]);
+
+	// Items are followed by their key: here `sku` instead of `id`
+	const stockFile = path.join(storageDir, 'stock.json');
+	const stock = await SDO.create(
+		{ file: stockFile, schema: [{ sku: 'string', count: 'integer' }] },
+		{ itemKeys: { '': 'sku' } }
+	);
+	await stock.reset([{ sku: 'A-1', count: 3 }, { sku: 'B-2', count: 5 }]);
+	const itemB = stock.data[1];
+	await fs.writeFile(stockFile, JSON.stringify([{ sku: 'B-2', count: 4 }]));
+	await stock.reload();
+	console.log('Same item object after reload:', itemB === stock.data[0], itemB.count);
+
+	// The whole file is a number: `store.data` is replaced on each change
+	const visits = await SDO.create({ file: path.join(storageDir, 'visits.json'), schema: 'integer' });
+	await visits.update((count) => count + 1);
+	console.log('Visits:', visits.data);
+	console.log();
+}
+
+/**
+ * Example 26: NDJSON, JSON5, YAML, MessagePack and custom formats
+ */
+async function exampleFormats() {
+	console.log('Example 26: File Formats');
+
+	// Picked from the extension: one event per line
+	const eventLog = await SDO.create({
+		file: path.join(storageDir, 'events.ndjson'),
+		schema: SDO.schema([{ at: 'date', type: 'string' }]),
+	});
+	await eventLog.reset([]);
+	await eventLog.update((events) => {
+		events.push({ at: new Date(0), type: 'start' }, { at: new Date(1000), type: 'stop' });
+	});
+	console.log('events.ndjson:');
+	console.log(await fs.readFile(eventLog.filePath, 'utf8'));
+
+	// A custom adapter: one string per line, `.txt` is added to the file name
+	const shopping = await SDO.create(
+		{ file: path.join(storageDir, 'shopping'), schema: SDO.schema(['string']), default: ['Milk', 'Eggs'] },
+		{
+			format: {
+				name: 'text',
+				extension: '.txt',
+				parse: (content) => content.split('\n').filter(Boolean),
+				stringify: (items) => `${items.join('\n')}\n`,
+			},
+		}
+	);
+	console.log(path.basename(shopping.filePath), '->', shopping.data);
+
+	// Formats backed by an optional package: the same data round-trips through each
+	const profileSchema = SDO.schema({ name: 'string', joinedAt: 'date', tags: ['string'] });
+	for (const format of /** @type {const} */ (['json5', 'yaml', 'msgpack'])) {
+		const profile = await SDO.create({ file: path.join(storageDir, 'profile'), schema: profileSchema }, { format });
+		await profile.update(() => ({ name: 'Ada', joinedAt: new Date(0), tags: ['admin'] }));
+		await profile.reload();
+		const content = await fs.readFile(profile.filePath);
+		const preview = format === 'msgpack' ? `${content.length} bytes` : content.toString('utf8').trim();
+		console.log(`${path.basename(profile.filePath)}:`, preview);
+		console.log('  ->', profile.data.name, profile.data.joinedAt.toISOString(), profile.data.tags);
+		await profile.close();
+	}
+
+	try {
+		// NDJSON only stores arrays, there is no room for the version
+		const schema = SDO.schema([{ type: 'string' }]);
+		await SDO.create({ file: path.join(storageDir, 'events.ndjson'), schema, version: 1 });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}
+
+/**
+ * Example 27: Indentation, key order, newlines and replacer/reviver
+ */
+async function exampleOutputFormatting() {
+	console.log('Example 27: Output Formatting');
+
+	const ledger = await SDO.create(
+		{ file: path.join(storageDir, 'ledger.json'), schema: SDO.schema({ account: 'string', balance: 'any' }) },
+		{
+			indent: 2,
+			sortKeys: 'schema',
+			trailingNewline: true,
+			// BigInt has no JSON form: store it as a string and read it back as a BigInt
+			replacer: (key, value) => (typeof value === 'bigint' ? `${value}n` : value),
+			reviver: (key, value) =>
+				typeof value === 'string' && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value,
+		}
+	);
+
+	// Keys are written in schema order, whatever order they were set in
+	await ledger.update(() => ({ balance: 9007199254740993n, account: 'savings' }));
+	console.log(await fs.readFile(ledger.filePath, 'utf8'));
+
+	await ledger.reload();
+	console.log('Balance:', ledger.data.balance, typeof ledger.data.balance);
+	console.log();
+}
+
+/**
+ * Example 28: In-memory and custom storage adapters
+ */
+async function exampleStorageAdapters() {
+	console.log('Example 28: Storage Adapters');
+
+	// Keep documents in memory, e.g. in unit tests: nothing is written to disk
+	const memory = new SDO.MemoryAdapter({ 'cart.json': JSON.stringify({ items: ['apple'] }) });
+	const cart = await SDO.create(
+		{ file: 'cart.json', schema: { items: ['string'] } },
+		{ storage: memory, watch: { debounceMs: 10 } }
+	);
+	cart.on('change', (data) => console.log('Changed by someone else:', data));
+
+	cart.data.items.push('pear');
+	await cart.write();
+	console.log('Stored content:', memory.files.get('cart.json'));
+
+	// Writes through the adapter stand for changes made by others
+	await memory.write('cart.json', JSON.stringify({ items: [] }));
+	await new Promise((resolve) => setTimeout(resolve, 50));
+
+	await cart.close();
+	console.log();
+}
+
+/**
+ * Example 29: Encryption at rest and key rotation
+ */
+async function exampleEncryption() {
+	console.log('Example 29: Encryption at Rest');
+
+	// In a real app, load the key from a secrets manager or an environment variable
+	const key = crypto.randomBytes(32);
+	const file = path.join(storageDir, 'credentials.json');
+	// The key is new on every run, so start from a new file
+	await fs.rm(file, { force: true });
+	const credentials = await SDO.create(
+		{ file, schema: { apiToken: 'string', email: 'string' } },
+		{ encryption: { key } }
+	);
+
+	await credentials.update(() => ({ apiToken: 'tok_live_123', email: 'ops@example.com' }));
+	const content = await fs.readFile(file, 'utf8');
+	console.log('Token readable in file:', content.includes('tok_live_123'));
+
+	// Re-encrypt the file with a new key, e.g. after a leak
+	const newKey = crypto.randomBytes(32).toString('hex');
+	await credentials.rotateKey(newKey);
+	await credentials.close();
+
+	try {
+		await SDO.create({ file, schema: { apiToken: 'string', email: 'string' } }, { encryption: { key } });
+	} catch (error) {
+		console.log('Old key:', /** @type {Error} */ (error).message);
+	}
+
+	const reopened = await SDO.create(
+		{ file, schema: { apiToken: 'string', email: 'string' } },
+		{ encryption: { keyProvider: async () => newKey } }
+	);
+	console.log('New key:', reopened.data);
+	console.log();
+}
+
+/**
+ * Example 30: Locking between processes
+ */
+async function exampleLocking() {
+	console.log('Example 30: Inter-process Lock');
+
+	const file = path.join(storageDir, 'jobs.json');
+	const jobs = await SDO.create(
+		{ file, schema: { pending: ['string'] } },
+		{ lock: 'inter-process', lockTimeout: 300, lockStale: 1000, durability: 'fast' }
+	);
+	await jobs.update(() => ({ pending: ['send-report'] }));
+
+	// Another live process holding the lock: wait up to lockTimeout, then give up
+	const lockPath = `${file}.lock`;
+	await fs.writeFile(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), timestamp: Date.now() }));
+	try {
+		await jobs.write();
+	} catch (error) {
+		if (error instanceof SDO.LockTimeoutError) console.log('Lock busy, held by this pid:', error.holder?.pid === process.pid);
+	}
+
+	// A lockfile left empty by a crash is removed once it hasn't been renewed for lockStale
+	await fs.writeFile(lockPath, '');
+	const past = new Date(Date.now() - 5000);
+	await fs.utimes(lockPath, past, past);
+	await jobs.update((draft) => {
+		draft.pending.push('clean-up');
+	});
+	console.log('Written after stale lock:', jobs.data.pending);
+
+	try {
+		// @ts-expect-error: Misspelled on purpose
+		await SDO.create({ file, schema: { pending: ['string'] } }, { lock: 'interprocess' });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}
+
+/**
+ * Example 31: Atomic writes and durability
+ */
+async function exampleAtomicWrites() {
+	console.log('Example 31: Atomic Writes');
+
+	const file = path.join(storageDir, 'receipts.json');
+	const receipts = await SDO.create({ file, schema: { entries: ['number'] } }, { durability: 'fast' });
+	await receipts.update(() => ({ entries: [10, -4] }));
+
+	// Writes go through a temp file renamed over the file, so none is left behind and the file is never half-written
+	const leftovers = (await fs.readdir(storageDir)).filter((name) => name.startsWith('.receipts.json.'));
+	console.log('Temp files left:', leftovers.length);
+	console.log('File content:', JSON.parse(await fs.readFile(file, 'utf8')));
+
+	try {
+		// @ts-expect-error: Misspelled on purpose
+		await SDO.create({ file, schema: { entries: ['number'] } }, { durability: 'fsnyc' });
+	} catch (error) {
+		console.log('Rejected:', /** @type {Error} */ (error).message);
+	}
+	console.log();
+}